@@ -126,30 +126,359 @@ console.log({
 // PRACTICAL STRING PARSING UTILITY
 // ============================================
 
+/**
+ * Split into grapheme clusters (falls back to code points). Shared by
+ * StringParser and ChainableString below.
+ */
+function graphemes(str) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(undefined, {
+      granularity: 'grapheme',
+    });
+    return Array.from(segmenter.segment(str), (s) => s.segment);
+  }
+  return Array.from(str);
+}
+
 class StringParser {
+  // Name parts that are recognised by their spelling (compared without
+  // case and trailing dots)
+  static namePrefixes = ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir'];
+  static nameSuffixes = ['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'esq'];
+  static nameParticles = [
+    'van',
+    'von',
+    'der',
+    'den',
+    'de',
+    'del',
+    'della',
+    'di',
+    'da',
+    'das',
+    'dos',
+    'du',
+    'la',
+    'le',
+    'ter',
+    'bin',
+    'binti',
+    'ibn',
+    'al',
+    'el',
+  ];
+
+  static defaultUsernamePolicy = {
+    minLength: 3,
+    maxLength: 20,
+    allowedCharacters: /[a-z0-9_]/, // Tested against one character at a time
+    caseSensitive: false,
+    mustStartWithLetter: false,
+    reserved: ['admin', 'administrator', 'root', 'support', 'system'],
+  };
+
+  /**
+   * Build the { ok, value, errors } object every parser returns.
+   * Each error is { code, message, index } where index points into the
+   * original input.
+   */
+  static result(value, errors) {
+    const ok = errors.length === 0;
+    return { ok, value: ok ? value : null, errors };
+  }
+
+  /**
+   * Render errors with a caret under the offending position
+   */
+  static formatErrors(input, result) {
+    return result.errors
+      .map((error) => {
+        const column = graphemes(input.slice(0, error.index));
+        return `${input}\n${' '.repeat(column.length)}^ ${error.message}`;
+      })
+      .join('\n');
+  }
+
   /**
-   * Parse full name into components
+   * Parse a personal name: "Dr. Ludwig van Beethoven", "Das, Shonjoy",
+   * "Martin Luther King, Jr." or a single name (mononym)
    */
   static parseFullName(fullName) {
-    const spaceIndex = fullName.indexOf(' ');
-    return {
-      firstName: fullName.slice(0, spaceIndex),
-      lastName: fullName.slice(spaceIndex + 1),
-      firstInitial: fullName[0],
-      lastInitial: fullName[spaceIndex + 1],
-    };
+    const errors = [];
+    const error = (code, message, index) =>
+      errors.push({ code, message, index });
+
+    if (typeof fullName !== 'string' || fullName.trim() === '') {
+      error('empty', 'Name is empty', 0);
+      return StringParser.result(null, errors);
+    }
+
+    // Letters and combining marks from any script, plus the punctuation
+    // that real names use
+    for (const match of fullName.matchAll(/[^\p{L}\p{M}\s'’.,-]/gu)) {
+      error(
+        'invalid-character',
+        `'${match[0]}' is not allowed in a name`,
+        match.index
+      );
+    }
+    if (errors.length) return StringParser.result(null, errors);
+
+    const bare = (token) => token.toLowerCase().replace(/\.$/, '');
+    const isSuffix = (part) =>
+      StringParser.nameSuffixes.includes(bare(part.trim()));
+
+    // Peel off ", Jr." style suffixes, then handle "Last, First"
+    let parts = fullName.split(',').map((part) => part.trim());
+    const suffix = [];
+    while (parts.length > 1 && isSuffix(parts[parts.length - 1])) {
+      suffix.unshift(parts.pop());
+    }
+    if (parts.length > 2) {
+      error('too-many-commas', 'Expected at most "Last, First"', 0);
+      return StringParser.result(null, errors);
+    }
+
+    let tokens = parts[parts.length - 1].split(/\s+/).filter(Boolean);
+    const prefix = [];
+    while (
+      tokens.length > 1 &&
+      StringParser.namePrefixes.includes(bare(tokens[0]))
+    ) {
+      prefix.push(tokens.shift());
+    }
+    while (tokens.length > 1 && isSuffix(tokens[tokens.length - 1])) {
+      suffix.unshift(tokens.pop());
+    }
+
+    let lastName;
+    if (parts.length === 2) {
+      lastName = parts[0];
+    } else {
+      // The last token, plus any particles in front of it ("van der")
+      let start = tokens.length - 1;
+      while (
+        start > 1 &&
+        StringParser.nameParticles.includes(bare(tokens[start - 1]))
+      ) {
+        start--;
+      }
+      lastName = tokens.length > 1 ? tokens.splice(start).join(' ') : '';
+    }
+
+    if (tokens.length === 0 || (lastName === '' && parts.length === 2)) {
+      error('missing-given-name', 'Given name is missing', fullName.length);
+      return StringParser.result(null, errors);
+    }
+
+    const initial = (s) => (graphemes(s)[0] ?? '').toUpperCase();
+    return StringParser.result(
+      {
+        prefix: prefix.join(' '),
+        firstName: tokens[0],
+        middleNames: tokens.slice(1),
+        lastName,
+        suffix: suffix.join(' '),
+        firstInitial: initial(tokens[0]),
+        lastInitial: initial(lastName),
+      },
+      errors
+    );
   }
 
   /**
-   * Parse email into components
+   * Parse an RFC 5322 addr-spec (local-part@domain). Supports quoted
+   * local parts, UTF-8 local parts (RFC 6531), internationalized domain
+   * names and [IP] domain literals. Comments and folding whitespace are
+   * rejected, since no signup form should accept them.
    */
-  static parseEmail(email) {
-    const atIndex = email.indexOf('@');
-    return {
-      username: email.slice(0, atIndex),
-      domain: email.slice(atIndex + 1),
-      topLevelDomain: email.slice(email.lastIndexOf('.') + 1),
-    };
+  static parseEmail(email, { requireTld = true } = {}) {
+    const errors = [];
+    const error = (code, message, index) =>
+      errors.push({ code, message, index });
+
+    if (typeof email !== 'string' || email === '') {
+      error('empty', 'Email address is empty', 0);
+      return StringParser.result(null, errors);
+    }
+
+    // Local part: quoted-string or dot-atom
+    let i = 0;
+    if (email[0] === '"') {
+      i = 1;
+      while (i < email.length && email[i] !== '"') {
+        if (email[i] === '\\') {
+          i += 2; // quoted-pair: backslash escapes the next character
+          continue;
+        }
+        const code = email.charCodeAt(i);
+        if (code < 32 || code === 127) {
+          error('invalid-character', 'Control characters are not allowed', i);
+        }
+        i++;
+      }
+      if (i >= email.length) {
+        error('unterminated-quote', 'Closing quote is missing', 0);
+        return StringParser.result(null, errors);
+      }
+      i++;
+    } else {
+      i = email.indexOf('@');
+      if (i === -1) i = email.length;
+      StringParser._checkDotAtom(email, 0, i, 'local part', error);
+    }
+
+    const localPart = email.slice(0, i);
+    if (email[i] !== '@') {
+      error(
+        'missing-at',
+        i === email.length
+          ? "Missing '@'"
+          : "Expected '@' after the quoted local part",
+        i
+      );
+      return StringParser.result(null, errors);
+    }
+    if (localPart === '') {
+      error('empty-local-part', "Nothing before the '@'", 0);
+    } else if (new TextEncoder().encode(localPart).length > 64) {
+      // Point at the first character that no longer fits in 64 bytes
+      let bytes = 0;
+      let at = 0;
+      for (const ch of localPart) {
+        bytes += new TextEncoder().encode(ch).length;
+        if (bytes > 64) break;
+        at += ch.length;
+      }
+      error('local-part-too-long', 'Local part is longer than 64 bytes', at);
+    }
+
+    // Domain: [domain literal] or dot-separated labels
+    const domainStart = i + 1;
+    const domain = email.slice(domainStart);
+    let asciiDomain = domain;
+    if (domain === '') {
+      error('empty-domain', "Nothing after the '@'", domainStart);
+    } else if (domain[0] === '[') {
+      const literal = domain.slice(1, -1);
+      const ipv4 =
+        /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+      if (domain[domain.length - 1] !== ']') {
+        error('invalid-domain-literal', "Missing ']'", email.length);
+      } else if (!ipv4.test(literal) && !/^IPv6:[0-9a-f:.]+$/i.test(literal)) {
+        error(
+          'invalid-domain-literal',
+          'Not an IPv4 or IPv6 address',
+          domainStart + 1
+        );
+      }
+    } else {
+      StringParser._checkDomain(domain, domainStart, requireTld, error);
+      if (errors.length === 0) {
+        // The URL parser applies IDNA (Punycode), and rejects labels such
+        // as "xn--zz" or a leading combining mark that pass the checks above
+        try {
+          asciiDomain = new URL(`http://${domain}`).hostname;
+        } catch {
+          error(
+            'invalid-domain',
+            'Not a valid internationalized domain name',
+            domainStart
+          );
+        }
+        if (errors.length === 0 && asciiDomain.length > 253) {
+          error(
+            'domain-too-long',
+            'Domain is longer than 253 characters',
+            domainStart
+          );
+        }
+      }
+    }
+
+    if (email.length > 254 && errors.length === 0) {
+      error('too-long', 'Email address is longer than 254 characters', 254);
+    }
+
+    return StringParser.result(
+      {
+        localPart,
+        domain,
+        asciiDomain,
+        topLevelDomain:
+          domain[0] === '[' ? '' : domain.slice(domain.lastIndexOf('.') + 1),
+      },
+      errors
+    );
+  }
+
+  /**
+   * dot-atom: runs of atext separated by single dots. Non-ASCII
+   * characters count as atext (RFC 6531).
+   */
+  static _checkDotAtom(input, start, end, what, error) {
+    const atext = /[A-Za-z0-9!#$%&'*+\-/=?^_`{|}~\u0080-\u{10FFFF}]/u;
+    if (input[start] === '.') {
+      error('leading-dot', `The ${what} cannot start with a dot`, start);
+    }
+    if (end > start && input[end - 1] === '.') {
+      error('trailing-dot', `The ${what} cannot end with a dot`, end - 1);
+    }
+    for (let i = start; i < end;) {
+      const ch = String.fromCodePoint(input.codePointAt(i));
+      if (ch === '.' && input[i + 1] === '.') {
+        error('consecutive-dots', `Two dots in a row in the ${what}`, i);
+      } else if (ch !== '.' && !atext.test(ch)) {
+        error('invalid-character', `'${ch}' is not allowed in the ${what}`, i);
+      }
+      i += ch.length;
+    }
+  }
+
+  /**
+   * Host name labels: letters (any script), digits and inner hyphens
+   */
+  static _checkDomain(domain, offset, requireTld, error) {
+    let index = offset;
+    const labels = domain.split('.');
+    labels.forEach((label, n) => {
+      if (label === '') {
+        error(
+          'empty-label',
+          'Empty domain label (two dots or a stray dot)',
+          index
+        );
+      } else if (!/^[\p{L}\p{M}\p{N}-]+$/u.test(label)) {
+        const bad = label.match(/[^\p{L}\p{M}\p{N}-]/u);
+        error(
+          'invalid-character',
+          `'${bad[0]}' is not allowed in a domain`,
+          index + bad.index
+        );
+      } else if (label[0] === '-' || label[label.length - 1] === '-') {
+        error(
+          'hyphen-edge',
+          'Domain labels cannot start or end with a hyphen',
+          index
+        );
+      } else if (label.length > 63) {
+        error(
+          'label-too-long',
+          'Domain label is longer than 63 characters',
+          index
+        );
+      } else if (n === labels.length - 1 && /^\d+$/.test(label)) {
+        error('numeric-tld', 'Top-level domain cannot be all digits', index);
+      }
+      index += label.length + 1;
+    });
+    if (requireTld && labels.length < 2) {
+      error(
+        'missing-tld',
+        'Domain needs a top-level domain like .com',
+        offset + domain.length
+      );
+    }
   }
 
   /**
@@ -193,14 +522,86 @@ class StringParser {
   }
 
   /**
-   * Sanitize and format username
+   * Validate a username against a policy (see defaultUsernamePolicy)
    */
-  static sanitizeUsername(username) {
-    return username
-      .trim()
-      .toLowerCase()
-      .replace(/[^a-z0-9_]/g, '')
-      .slice(0, 20);
+  static validateUsername(username, policy = {}) {
+    const rules = { ...StringParser.defaultUsernamePolicy, ...policy };
+    const allowed = StringParser._characterTest(rules.allowedCharacters);
+    const errors = [];
+    const error = (code, message, index) =>
+      errors.push({ code, message, index });
+
+    if (typeof username !== 'string') {
+      const type = username === null ? 'null' : typeof username;
+      error('type', `Username must be a string, got ${type}`, 0);
+      return StringParser.result(null, errors);
+    }
+
+    // Positions are UTF-16 offsets into the raw input (like every other
+    // parser here), so skip leading whitespace and check the characters
+    // before lowercasing, which can change their length
+    const offset = username.length - username.trimStart().length;
+    const raw = username.trim();
+    const fold = (s) => (rules.caseSensitive ? s : s.toLowerCase());
+    const value = fold(raw);
+    const chars = graphemes(raw);
+
+    if (chars.length < rules.minLength) {
+      error(
+        'too-short',
+        `Must be at least ${rules.minLength} characters`,
+        offset + raw.length
+      );
+    }
+    if (chars.length > rules.maxLength) {
+      const fits = chars.slice(0, rules.maxLength).join('');
+      error(
+        'too-long',
+        `Must be at most ${rules.maxLength} characters`,
+        offset + fits.length
+      );
+    }
+    for (let i = 0; i < raw.length;) {
+      const ch = String.fromCodePoint(raw.codePointAt(i));
+      if (!allowed(fold(ch))) {
+        error('invalid-character', `'${ch}' is not allowed`, offset + i);
+      }
+      i += ch.length;
+    }
+    if (rules.mustStartWithLetter && !/^\p{L}/u.test(value)) {
+      error('must-start-with-letter', 'Must start with a letter', offset);
+    }
+    if (rules.reserved.includes(value.toLowerCase())) {
+      error('reserved', `'${value}' is reserved`, offset);
+    }
+
+    return StringParser.result(value, errors);
+  }
+
+  /**
+   * Sanitize and format username: drop whatever the policy disallows
+   */
+  static sanitizeUsername(username, policy = {}) {
+    const rules = { ...StringParser.defaultUsernamePolicy, ...policy };
+    const allowed = StringParser._characterTest(rules.allowedCharacters);
+    const value = username.trim();
+    return Array.from(rules.caseSensitive ? value : value.toLowerCase())
+      .filter(allowed)
+      .slice(0, rules.maxLength)
+      .join('');
+  }
+
+  /**
+   * A per-character test for a policy regex. A /g or /y regex keeps
+   * lastIndex between test() calls and would skip matches, so those
+   * flags are dropped from a copy.
+   */
+  static _characterTest(pattern) {
+    const regex = new RegExp(
+      pattern.source,
+      pattern.flags.replace(/[gy]/g, '')
+    );
+    return (ch) => regex.test(ch);
   }
 
   /**
@@ -236,6 +637,48 @@ console.log('Safe slice:', StringParser.safeSlice('Hello', -2, -1));
 console.log('Sanitized username:', StringParser.sanitizeUsername(rawUsername));
 console.log('Formatted username:', StringParser.formatUsername(rawUsername));
 
+// Parsers return { ok, value, errors } instead of guessing
+console.log('\n--- Detailed Parsing ---');
+const names = [
+  'Dr. Ludwig van Beethoven',
+  'Martin Luther King, Jr.',
+  'Das, Shonjoy',
+  'শংজয় দাস',
+  'Sukarno',
+  'R2-D2',
+];
+for (const input of names) {
+  const result = StringParser.parseFullName(input);
+  console.log(input, '->', result.ok ? result.value : result.errors);
+}
+
+const emails = [
+  '"john doe"@example.com',
+  'user+tag@bücher.de',
+  'admin@[192.168.0.1]',
+  'john..doe@example.com',
+  'jane@example',
+  'jane@-example.com',
+];
+for (const input of emails) {
+  const result = StringParser.parseEmail(input);
+  if (result.ok) {
+    console.log(`${input} -> ok`, result.value);
+  } else {
+    console.log(StringParser.formatErrors(input, result));
+  }
+}
+
+// Username rules are a policy object
+const strictPolicy = { minLength: 5, mustStartWithLetter: true };
+for (const input of ['  ShOnJoY  ', 'Root', '9lives', 'hi there!', null]) {
+  const result = StringParser.validateUsername(input, strictPolicy);
+  console.log(
+    `${JSON.stringify(input)} ->`,
+    result.ok ? result.value : result.errors.map((e) => e.message)
+  );
+}
+
 // ============================================
 // EXTRACTION METHOD COMPARISON
 // ============================================
@@ -273,45 +716,136 @@ console.log(JSON.stringify(extractionComparison, null, 2));
 // ADVANCED METHOD CHAINING PATTERNS
 // ============================================
 
+/**
+ * Fluent string builder. Each call only records a step; the steps run
+ * when get() or toString() is called. Operations work on grapheme
+ * clusters (what a reader sees as one character), so emoji and accented
+ * letters are never split in half.
+ */
 class ChainableString {
   constructor(value) {
-    this.value = value;
+    this.value = String(value);
+    this.steps = [];
   }
 
-  trim() {
-    this.value = this.value.trim();
-    return this;
+  /**
+   * Add a chainable step: fn(currentString, ...args) => newString
+   */
+  static register(name, fn) {
+    if (name in ChainableString.prototype) {
+      throw new TypeError(`ChainableString already has a '${name}' method`);
+    }
+    ChainableString.prototype[name] = function (...args) {
+      this.steps.push({ name, fn, args });
+      return this;
+    };
   }
 
-  capitalize() {
-    this.value =
-      this.value.charAt(0).toUpperCase() + this.value.slice(1).toLowerCase();
-    return this;
+  /**
+   * Split into words on separators and camelCase boundaries
+   */
+  static words(str) {
+    return str
+      .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+      .split(/[^\p{L}\p{M}\p{N}]+/u)
+      .filter(Boolean);
   }
 
-  reverse() {
-    this.value = this.value.split('').reverse().join('');
-    return this;
+  get() {
+    return this.steps.reduce(
+      (value, step) => step.fn(value, ...step.args),
+      this.value
+    );
   }
 
-  removeSpaces() {
-    this.value = this.value.replace(/\s+/g, '');
-    return this;
+  toString() {
+    return this.get();
   }
 
-  addPrefix(prefix) {
-    this.value = prefix + this.value;
-    return this;
+  // Length in graphemes, not UTF-16 code units
+  get length() {
+    return graphemes(this.get()).length;
   }
+}
 
-  addSuffix(suffix) {
-    this.value = this.value + suffix;
-    return this;
-  }
+const capitalizeWord = (word) => {
+  const [first = '', ...rest] = graphemes(word);
+  return first.toUpperCase() + rest.join('').toLowerCase();
+};
 
-  get() {
-    return this.value;
-  }
+const builtInSteps = {
+  trim: (s) => s.trim(),
+  capitalize: capitalizeWord,
+  reverse: (s) => graphemes(s).reverse().join(''),
+  removeSpaces: (s) => s.replace(/\s+/g, ''),
+  addPrefix: (s, prefix) => prefix + s,
+  addSuffix: (s, suffix) => s + suffix,
+
+  // "Crème Brûlée!" -> "creme-brulee"
+  slugify: (s) =>
+    s
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, ''),
+
+  camelCase: (s) =>
+    ChainableString.words(s)
+      .map((word, i) => (i === 0 ? word.toLowerCase() : capitalizeWord(word)))
+      .join(''),
+  snakeCase: (s) =>
+    ChainableString.words(s)
+      .map((word) => word.toLowerCase())
+      .join('_'),
+  kebabCase: (s) =>
+    ChainableString.words(s)
+      .map((word) => word.toLowerCase())
+      .join('-'),
+
+  // side: 'end' (default), 'start' or 'both'. A longer fill is repeated
+  // and cut off at exactly the width, like padEnd() but in graphemes.
+  pad: (s, width, fill = ' ', side = 'end') => {
+    const missing = Math.max(0, width - graphemes(s).length);
+    const before =
+      side === 'start' ? missing : side === 'both' ? missing >> 1 : 0;
+    const units = graphemes(fill);
+    const run = (n) =>
+      units.length === 0
+        ? ''
+        : Array.from({ length: n }, (_, i) => units[i % units.length]).join('');
+    return run(before) + s + run(missing - before);
+  },
+
+  // Greedy word wrap; words longer than width get a line of their own
+  wrap: (s, width) => {
+    const lines = [];
+    let line = '';
+    for (const word of s.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && graphemes(candidate).length > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+  },
+
+  // Result is at most n graphemes, ellipsis included
+  truncate: (s, n, ellipsis = '…') => {
+    const chars = graphemes(s);
+    if (chars.length <= n) return s;
+    const mark = graphemes(ellipsis);
+    if (n <= mark.length) return mark.slice(0, n).join('');
+    return chars.slice(0, n - mark.length).join('') + ellipsis;
+  },
+};
+
+for (const [stepName, fn] of Object.entries(builtInSteps)) {
+  ChainableString.register(stepName, fn);
 }
 
 // Usage with fluent interface
@@ -326,6 +860,56 @@ const chainedResult = new ChainableString('  hello world  ')
 console.log('\n--- Advanced Method Chaining ---');
 console.log('Chained result:', chainedResult);
 
+// Steps are lazy: nothing runs until get()/toString()
+const lazy = new ChainableString('draft').capitalize();
+lazy.value = 'final';
+console.log('Lazy result:', `${lazy}`); // "Final"
+
+// Grapheme-aware operations
+const emoji = 'cafe\u0301 👨‍👩‍👧 ok'; // e + combining acute accent
+console.log('Naive reverse:', emoji.split('').reverse().join(''));
+console.log('Grapheme reverse:', new ChainableString(emoji).reverse().get());
+console.log('UTF-16 length:', emoji.length);
+console.log('Grapheme length:', new ChainableString(emoji).length);
+console.log('Truncate to 6:', new ChainableString(emoji).truncate(6).get());
+
+// Case conversions
+const title = 'Crème Brûlée: HTTPRequest parserV2!';
+console.log('slugify:', new ChainableString(title).slugify().get());
+console.log(
+  'camelCase:',
+  new ChainableString('user first_name').camelCase().get()
+);
+console.log(
+  'snakeCase:',
+  new ChainableString('userFirstName').snakeCase().get()
+);
+console.log(
+  'kebabCase:',
+  new ChainableString('User First Name').kebabCase().get()
+);
+console.log('pad both:', `[${new ChainableString('hi').pad(6, '*', 'both')}]`);
+console.log(
+  'pad with a longer fill:',
+  `[${new ChainableString('hi').pad(7, '-=', 'start')}]`
+);
+console.log(
+  'wrap(16):\n' +
+    new ChainableString('The quick brown fox jumps over the lazy dog').wrap(16)
+);
+
+// User-registered steps
+ChainableString.register(
+  'shout',
+  (s, marks = 1) => s.toUpperCase() + '!'.repeat(marks)
+);
+console.log('Custom step:', new ChainableString('hello').shout(3).get());
+try {
+  ChainableString.register('get', (s) => s);
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
 // ============================================
 // PERFORMANCE & BEST PRACTICES
 // ============================================
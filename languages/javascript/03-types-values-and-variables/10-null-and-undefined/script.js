@@ -197,24 +197,290 @@ console.log(JSON.stringify(obj)); // {"name":"Alice","age":null}
 // ============================================
 console.log('\n=== PRACTICAL EXAMPLE ===');
 
-// User database simulation
+// User database simulation: a small in-memory document store.
+// Deleted documents are kept as tombstones (with a deletedAt date) until
+// compact() runs, so get() can still tell the two kinds of "missing"
+// apart: null = deleted, undefined = never existed.
 class UserDatabase {
-  constructor() {
-    this.users = new Map();
+  constructor({ indexes = {} } = {}) {
+    this.records = new Map(); // id -> { data, createdAt, updatedAt, deletedAt }
+    this.indexes = new Map(); // field -> { unique, entries: value -> Set(ids) }
+    this.listeners = new Set();
+
+    for (const [field, options] of Object.entries(indexes)) {
+      this.createIndex(field, options);
+    }
   }
 
+  // ---- Indexes ----
+
+  // The index is built on the side and only registered once every live
+  // document passed the unique check, so a failed check changes nothing
+  createIndex(field, { unique = false } = {}) {
+    const index = { unique, entries: new Map() };
+    for (const [id, record] of this.records) {
+      if (record.deletedAt === null) {
+        this._checkUnique(field, record.data[field], id, index);
+        this._indexValue(index, record.data[field], id);
+      }
+    }
+    this.indexes.set(field, index);
+  }
+
+  // null and undefined are not indexed, so unique fields stay optional
+  _indexValue(index, value, id) {
+    if (value === null || value === undefined) return;
+    if (!index.entries.has(value)) index.entries.set(value, new Set());
+    index.entries.get(value).add(id);
+  }
+
+  _unindexValue(index, value, id) {
+    const ids = index.entries.get(value);
+    if (!ids) return;
+    ids.delete(id);
+    if (ids.size === 0) index.entries.delete(value);
+  }
+
+  _checkUnique(field, value, id, index = this.indexes.get(field)) {
+    if (!index?.unique || value === null || value === undefined) return;
+    const owners = index.entries.get(value);
+    if (owners && !(owners.size === 1 && owners.has(id))) {
+      throw new Error(`Duplicate value for unique field ${field}: ${value}`);
+    }
+  }
+
+  _reindex(id, before, after) {
+    for (const [field, index] of this.indexes) {
+      if (before) this._unindexValue(index, before[field], id);
+      if (after) this._indexValue(index, after[field], id);
+    }
+  }
+
+  // ---- Change events ----
+
+  // listener({ type, id, before, after }); returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit(type, id, before, after) {
+    for (const listener of this.listeners) {
+      listener({ type, id, before, after });
+    }
+  }
+
+  // ---- CRUD ----
+
+  insert(id, data) {
+    if (this.records.has(id)) {
+      const state = this.records.get(id).deletedAt
+        ? 'a deleted'
+        : 'an existing';
+      throw new Error(`Cannot insert ${id}: it is ${state} document`);
+    }
+    const doc = { ...data };
+    for (const field of this.indexes.keys()) {
+      this._checkUnique(field, doc[field], id);
+    }
+
+    const now = new Date();
+    this.records.set(id, {
+      data: doc,
+      createdAt: now,
+      updatedAt: now,
+      deletedAt: null,
+    });
+    this._reindex(id, null, doc);
+    this._emit('insert', id, undefined, { ...doc });
+    return { ...doc };
+  }
+
+  update(id, changes) {
+    const record = this._live(id, 'update');
+    const before = record.data;
+    const after = { ...before, ...changes };
+    for (const field of this.indexes.keys()) {
+      this._checkUnique(field, after[field], id);
+    }
+
+    record.data = after;
+    record.updatedAt = new Date();
+    this._reindex(id, before, after);
+    this._emit('update', id, { ...before }, { ...after });
+    return { ...after };
+  }
+
+  // Soft delete: keeps a tombstone until compact()
+  delete(id) {
+    const record = this._live(id, 'delete');
+    record.deletedAt = new Date();
+    this._reindex(id, record.data, null);
+    this._emit('delete', id, { ...record.data }, null);
+  }
+
+  undelete(id) {
+    const record = this.records.get(id);
+    if (!record?.deletedAt) throw new Error(`${id} is not deleted`);
+    for (const field of this.indexes.keys()) {
+      this._checkUnique(field, record.data[field], id);
+    }
+    record.deletedAt = null;
+    this._reindex(id, null, record.data);
+    this._emit('undelete', id, null, { ...record.data });
+    return { ...record.data };
+  }
+
+  // Permanently drop tombstones deleted before `before` (default: all).
+  // Afterwards those ids read as undefined, like they never existed.
+  compact({ before = new Date(8.64e15) } = {}) {
+    let removed = 0;
+    for (const [id, record] of this.records) {
+      if (record.deletedAt && record.deletedAt < before) {
+        this.records.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // undefined = never existed, null = deleted, otherwise a copy of the doc
+  get(id) {
+    const record = this.records.get(id);
+    if (record === undefined) return undefined;
+    if (record.deletedAt) return null;
+    return { ...record.data };
+  }
+
+  // Metadata, including for tombstones
+  meta(id) {
+    const record = this.records.get(id);
+    if (!record) return undefined;
+    const { createdAt, updatedAt, deletedAt } = record;
+    return { createdAt, updatedAt, deletedAt };
+  }
+
+  get size() {
+    let live = 0;
+    for (const record of this.records.values()) {
+      if (!record.deletedAt) live++;
+    }
+    return live;
+  }
+
+  _live(id, action) {
+    const record = this.records.get(id);
+    if (!record) throw new Error(`Cannot ${action} ${id}: no such document`);
+    if (record.deletedAt) throw new Error(`Cannot ${action} ${id}: deleted`);
+    return record;
+  }
+
+  // ---- Queries ----
+
+  query() {
+    return new UserQuery(this);
+  }
+
+  // Original API, kept as thin wrappers
   addUser(id, data) {
-    this.users.set(id, data);
+    return this.insert(id, data);
   }
 
   getUser(id) {
-    // Returns undefined if user doesn't exist
-    return this.users.get(id);
+    return this.get(id);
   }
 
   deleteUser(id) {
-    // Explicitly set to null to indicate deleted
-    this.users.set(id, null);
+    this.delete(id);
+  }
+}
+
+// db.query().where('role', '==', 'admin').orderBy('age', 'desc')
+//   .offset(10).limit(5).run()
+// where() also accepts a predicate: where((user) => user.age > 30)
+class UserQuery {
+  static operators = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    in: (a, b) => b.includes(a),
+    includes: (a, b) => Array.isArray(a) && a.includes(b),
+  };
+
+  constructor(db) {
+    this.db = db;
+    this.filters = [];
+    this.sorts = [];
+    this.skip = 0;
+    this.take = Infinity;
+  }
+
+  where(field, op, value) {
+    if (typeof field === 'function') {
+      this.filters.push({ test: field });
+      return this;
+    }
+    const compare = UserQuery.operators[op];
+    if (!compare) throw new Error(`Unknown operator: ${op}`);
+    this.filters.push({
+      field,
+      op,
+      value,
+      test: (doc) => compare(doc[field], value),
+    });
+    return this;
+  }
+
+  orderBy(field, direction = 'asc') {
+    this.sorts.push({ field, sign: direction === 'desc' ? -1 : 1 });
+    return this;
+  }
+
+  limit(n) {
+    this.take = n;
+    return this;
+  }
+
+  offset(n) {
+    this.skip = n;
+    return this;
+  }
+
+  // Start from an index when an equality filter allows it
+  _candidates() {
+    for (const { field, op, value } of this.filters) {
+      const index = this.db.indexes.get(field);
+      if (!index) continue;
+      if (op === '==') return index.entries.get(value) ?? new Set();
+      if (op === 'in') {
+        return new Set(value.flatMap((v) => [...(index.entries.get(v) ?? [])]));
+      }
+    }
+    return this.db.records.keys();
+  }
+
+  run() {
+    const results = [];
+    for (const id of this._candidates()) {
+      const doc = this.db.get(id);
+      if (doc && this.filters.every((filter) => filter.test(doc))) {
+        results.push({ id, ...doc });
+      }
+    }
+
+    if (this.sorts.length) {
+      results.sort((a, b) => {
+        for (const { field, sign } of this.sorts) {
+          if (a[field] < b[field]) return -sign;
+          if (a[field] > b[field]) return sign;
+        }
+        return 0;
+      });
+    }
+    return results.slice(this.skip, this.skip + this.take);
   }
 }
 
@@ -238,6 +504,94 @@ console.log('User 2 was deleted?', user2 === null); // true
 console.log('User 3 exists?', user3 !== undefined && user3 !== null); // false
 console.log('User 3 was deleted?', user3 === null); // false
 
+// The tombstone remembers when it was deleted, and can be restored
+console.log(
+  '\nUser 2 deletedAt is a Date?',
+  db.meta(2).deletedAt instanceof Date
+);
+db.undelete(2);
+console.log('After undelete:', db.getUser(2));
+
+// Compaction forgets tombstones for good: null becomes undefined
+db.deleteUser(2);
+console.log('Compacted tombstones:', db.compact());
+console.log('User 2 after compaction:', db.getUser(2)); // undefined
+
+// Indexes, queries and change events
+console.log('\nIndexed store with queries:');
+const people = new UserDatabase({
+  indexes: { email: { unique: true }, role: {} },
+});
+const stopLogging = people.onChange(({ type, id }) =>
+  console.log(`  change: ${type} ${id}`)
+);
+
+people.insert('u1', {
+  name: 'Alice',
+  email: 'alice@x.io',
+  role: 'admin',
+  age: 34,
+});
+people.insert('u2', {
+  name: 'Bob',
+  email: 'bob@x.io',
+  role: 'member',
+  age: 27,
+});
+people.insert('u3', {
+  name: 'Carol',
+  email: 'carol@x.io',
+  role: 'member',
+  age: 41,
+});
+people.insert('u4', {
+  name: 'Dave',
+  email: 'dave@x.io',
+  role: 'member',
+  age: 19,
+});
+people.update('u4', { role: 'admin' });
+people.delete('u1');
+stopLogging();
+
+try {
+  people.insert('u5', { name: 'Bobby', email: 'bob@x.io', role: 'member' });
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
+// Several people are members, so this index is refused and never
+// registered; the existing role index keeps working
+try {
+  people.createIndex('role', { unique: true });
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+console.log('Indexed fields:', [...people.indexes.keys()]);
+
+const members = people
+  .query()
+  .where('role', '==', 'member') // Uses the role index
+  .where('age', '>=', 18)
+  .orderBy('age', 'desc')
+  .run();
+console.log(
+  'Members by age:',
+  members.map((u) => `${u.name} (${u.age})`)
+);
+
+const admins = people.query().where('role', '==', 'admin').run();
+console.log(
+  'Admins (u1 is deleted):',
+  admins.map((u) => u.name)
+);
+
+const page = people.query().orderBy('name').offset(1).limit(1).run();
+console.log(
+  'Second page of one:',
+  page.map((u) => u.name)
+);
+
 // ============================================
 console.log('\n=== BEST PRACTICES SUMMARY ===');
 console.log("✓ Use null for intentional 'no value' assignments");
@@ -337,9 +337,9 @@ try {
 }
 
 // ============================================
-console.log('\n=== PRACTICAL EXAMPLE: Shopping Cart ===\n');
+console.log('\n=== PRACTICAL EXAMPLE: Shopping List ===\n');
 
-class ShoppingCart {
+class ShoppingList {
   constructor() {
     this.items = [];
   }
@@ -356,18 +356,18 @@ class ShoppingCart {
 }
 
 let externalItems = ['apple', 'banana'];
-let cart1 = new ShoppingCart();
-cart1.addItemsMutating(externalItems);
+let list1 = new ShoppingList();
+list1.addItemsMutating(externalItems);
 
 externalItems.push('orange'); // Modify external array
-console.log('cart1.items:', cart1.items); // ["apple", "banana", "orange"] - AFFECTED!
+console.log('list1.items:', list1.items); // ["apple", "banana", "orange"] - AFFECTED!
 
 let externalItems2 = ['apple', 'banana'];
-let cart2 = new ShoppingCart();
-cart2.addItemsSafe(externalItems2);
+let list2 = new ShoppingList();
+list2.addItemsSafe(externalItems2);
 
 externalItems2.push('orange'); // Modify external array
-console.log('cart2.items:', cart2.items); // ["apple", "banana"] - SAFE!
+console.log('list2.items:', list2.items); // ["apple", "banana"] - SAFE!
 
 // ============================================
 console.log('\n=== SUMMARY ===');
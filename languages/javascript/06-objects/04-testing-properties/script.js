@@ -367,22 +367,49 @@ console.log('  !== undefined:', comparisonObj.nonexistent !== undefined);
 console.log('\n=== 14. REAL-WORLD USE CASES ===\n');
 
 // Use Case 1: Safe property merger
-function mergeObjects(target, source) {
-  console.log('Merging objects safely:');
+// Built from the tests above: hasOwnProperty() picks the source's own keys
+// and tells whether the target already owns a nested object to merge into.
+// "__proto__", "constructor" and "prototype" are skipped, because assigning
+// them can reach a prototype instead of creating a property.
+function mergeObjects(target, source, path = '') {
+  if (!path) console.log('Merging objects safely:');
   for (let key in source) {
-    if (source.hasOwnProperty(key)) {
-      target[key] = source[key];
-      console.log(`  Copied: ${key} = ${source[key]}`);
+    if (!source.hasOwnProperty(key)) continue;
+    if (['__proto__', 'constructor', 'prototype'].includes(key)) {
+      console.log(`  Skipped unsafe key: ${path}${key}`);
+      continue;
+    }
+    let value = source[key];
+    let existing = target.hasOwnProperty(key) ? target[key] : undefined;
+    let bothPlain = [value, existing].every(
+      (v) =>
+        v !== null &&
+        typeof v === 'object' &&
+        Object.getPrototypeOf(v) === Object.prototype
+    );
+    if (bothPlain) {
+      mergeObjects(existing, value, `${path}${key}.`);
+    } else {
+      target[key] = value;
+      console.log(`  Copied: ${path}${key} = ${JSON.stringify(value)}`);
     }
   }
   return target;
 }
 
-let base = { a: 1, b: 2 };
-let extension = { b: 3, c: 4 };
+let base = { a: 1, b: 2, nested: { x: 1 } };
+let extension = { b: 3, c: 4, nested: { y: 2 } };
 let merged = mergeObjects(base, extension);
 console.log('Result:', merged);
 
+let attack = JSON.parse('{"__proto__": {"polluted": true}, "d": 5}');
+mergeObjects(base, attack);
+console.log('Object.prototype polluted?', 'polluted' in {});
+console.log(
+  "base's prototype unchanged?",
+  Object.getPrototypeOf(base) === Object.prototype
+);
+
 // Use Case 2: Feature detection
 console.log('\nFeature detection:');
 function hasFeature(obj, feature) {
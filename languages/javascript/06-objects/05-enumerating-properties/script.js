@@ -325,26 +325,56 @@ console.log('Converted Map:', mapResult);
 console.log('Map size:', mapResult.size);
 
 // Example 5: Merge objects
+// Object.keys() only lists own enumerable keys, so nothing inherited is
+// copied. The keys that could reach a prototype ("__proto__",
+// "constructor", "prototype") are filtered out of that list as well.
+// Nested plain objects are merged; Dates, Maps, arrays and class
+// instances are copied by reference.
 console.log('\nExample 5: Merging objects');
 function mergeObjects(...objects) {
+  let isPlain = (value) =>
+    value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype;
   let result = {};
   for (let obj of objects) {
-    for (let key of Object.keys(obj)) {
-      result[key] = obj[key];
+    let keys = Object.keys(obj).filter(
+      (key) => !['__proto__', 'constructor', 'prototype'].includes(key)
+    );
+    for (let key of keys) {
+      let value = obj[key];
+      if (isPlain(value)) {
+        // Copy nested objects so the result never shares them
+        value = mergeObjects(isPlain(result[key]) ? result[key] : {}, value);
+      }
+      result[key] = value;
     }
   }
   return result;
 }
 
-let obj1 = { a: 1, b: 2 };
-let obj2 = { b: 3, c: 4 };
-let obj3 = { c: 5, d: 6 };
-let merged = mergeObjects(obj1, obj2, obj3);
+let part1 = { a: 1, b: 2, opts: { x: 1 } };
+let part2 = { b: 3, c: 4, opts: { y: 2 }, when: new Date(0) };
+let part3 = { c: 5, d: 6, index: new Map([['k', 1]]) };
+let merged = mergeObjects(part1, part2, part3);
 
-console.log('obj1:', obj1);
-console.log('obj2:', obj2);
-console.log('obj3:', obj3);
+console.log('part1:', part1);
+console.log('part2:', part2);
+console.log('part3:', part3);
 console.log('Merged:', merged);
+console.log(
+  'Date and Map kept as-is?',
+  merged.when === part2.when && merged.index === part3.index
+);
+let fromJson = mergeObjects(JSON.parse('{"__proto__": {"polluted": true}}'));
+console.log(
+  '__proto__ skipped:',
+  !Object.hasOwn(fromJson, '__proto__'),
+  '| prototype untouched:',
+  Object.getPrototypeOf(fromJson) === Object.prototype,
+  '| polluted:',
+  'polluted' in {}
+);
 
 // Example 6: Get all properties including non-enumerable
 console.log('\nExample 6: Get all own properties');
@@ -135,19 +135,230 @@ console.log('Same object?', base2 === spreaded);
 
 console.log('\n=== 9. CUSTOM MERGE FUNCTION ===\n');
 
-// Custom merge that doesn't override existing properties
-function merge(target, ...sources) {
-  for (let source of sources) {
-    for (let key of Object.keys(source)) {
-      if (!(key in target)) {
-        // Only add if missing
-        target[key] = source[key];
-      }
+// Keys that reach a prototype when assigned. A JSON payload such as
+// {"__proto__": {"isAdmin": true}} must never be copied key by key.
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+const ARRAY_STRATEGIES = ['replace', 'concat', 'unionBy'];
+
+// What each merge option accepts. A trailing argument counts as options
+// only if every key it has is listed here with a value of that kind.
+const MERGE_OPTIONS = {
+  arrays: (value) => ARRAY_STRATEGIES.includes(value),
+  unionBy: (value) => typeof value === 'string' || typeof value === 'function',
+  custom: (value) =>
+    isPlainObject(value) &&
+    Object.values(value).every(
+      (strategy) =>
+        ARRAY_STRATEGIES.includes(strategy) || typeof strategy === 'function'
+    ),
+  immutable: (value) => typeof value === 'boolean',
+  overwrite: (value) => typeof value === 'boolean',
+};
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  let proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function safeKeys(obj) {
+  return Object.keys(obj).filter((key) => !UNSAFE_KEYS.has(key));
+}
+
+// options.custom maps dotted paths to a strategy; '*' matches one segment
+function customStrategy(custom, path) {
+  if (!custom || path.length === 0) return undefined;
+  let dotted = path.join('.');
+  if (Object.hasOwn(custom, dotted)) return custom[dotted];
+  for (let pattern of Object.keys(custom)) {
+    let parts = pattern.split('.');
+    if (
+      parts.length === path.length &&
+      parts.every((part, i) => part === '*' || part === String(path[i]))
+    ) {
+      return custom[pattern];
+    }
+  }
+  return undefined;
+}
+
+// The strategy engine behind deepMerge, restrict and subtract.
+// `mode` says how two values at the same path combine:
+//   'merge'    - source values win (or fill gaps when overwrite is false)
+//   'restrict' - keep only what the source (a template) also has
+//   'subtract' - remove what the source names
+// In immutable mode every changed object is copied, and untouched
+// branches are shared with the input.
+function combine(mode, target, source, options, path = []) {
+  let strategy = customStrategy(options.custom, path);
+  if (typeof strategy === 'function') {
+    return strategy(target, source, { path: path.join('.'), mode });
+  }
+  if (strategy !== undefined) {
+    options = { ...options, arrays: strategy };
+  }
+
+  if (Array.isArray(source) && (Array.isArray(target) || mode === 'merge')) {
+    return combineArrays(mode, target, source, options, path);
+  }
+
+  if (isPlainObject(source)) {
+    if (isPlainObject(target)) {
+      return combineObjects(mode, target, source, options, path);
     }
+    if (mode === 'merge' && (target === undefined || options.overwrite)) {
+      return combineObjects(mode, {}, source, options, path);
+    }
+  }
+
+  if (mode === 'merge' && (target === undefined || options.overwrite)) {
+    return source;
   }
   return target;
 }
 
+function combineObjects(mode, target, source, options, path) {
+  let out = options.immutable
+    ? Object.assign(Object.create(Object.getPrototypeOf(target)), target)
+    : target;
+
+  if (mode === 'restrict') {
+    for (let key of Object.keys(target)) {
+      if (UNSAFE_KEYS.has(key) || !Object.hasOwn(source, key)) {
+        delete out[key];
+      } else {
+        out[key] = combine(mode, target[key], source[key], options, [
+          ...path,
+          key,
+        ]);
+      }
+    }
+    return out;
+  }
+
+  for (let key of safeKeys(source)) {
+    let value = Object.hasOwn(target, key) ? target[key] : undefined;
+    let at = [...path, key];
+
+    if (mode === 'merge') {
+      out[key] = combine(mode, value, source[key], options, at);
+    } else if (Object.hasOwn(target, key)) {
+      // subtract: descend into nested objects and unionBy arrays,
+      // otherwise naming the key is enough to remove it
+      let descend =
+        (isPlainObject(value) && isPlainObject(source[key])) ||
+        (Array.isArray(value) &&
+          Array.isArray(source[key]) &&
+          (customStrategy(options.custom, at) ?? options.arrays) === 'unionBy');
+      if (descend) {
+        out[key] = combine(mode, value, source[key], options, at);
+      } else {
+        delete out[key];
+      }
+    }
+  }
+  return out;
+}
+
+function combineArrays(mode, target, source, options, path) {
+  let strategy = options.arrays;
+  if (!ARRAY_STRATEGIES.includes(strategy)) {
+    throw new RangeError(`Unknown array strategy: ${strategy}`);
+  }
+  // Copy source items so the result never aliases a source's objects
+  let copy = (item, i) =>
+    combine('merge', undefined, item, { ...options, custom: undefined }, [
+      ...path,
+      i,
+    ]);
+
+  if (!Array.isArray(target)) {
+    return mode === 'merge' ? source.map(copy) : target;
+  }
+
+  if (strategy !== 'unionBy') {
+    if (mode !== 'merge') return target;
+    if (strategy === 'replace') {
+      return options.overwrite ? source.map(copy) : target;
+    }
+    let items = source.map((item, i) => copy(item, target.length + i));
+    if (options.immutable) return [...target, ...items];
+    target.push(...items);
+    return target;
+  }
+
+  // unionBy: items with the same key are the same item
+  let by = options.unionBy ?? ((item) => item);
+  let keyOf = typeof by === 'function' ? by : (item) => item?.[by];
+  let sourceKeys = new Set(source.map(keyOf));
+
+  if (mode === 'restrict' || mode === 'subtract') {
+    let keep = mode === 'restrict';
+    let kept = target.filter((item) => sourceKeys.has(keyOf(item)) === keep);
+    if (options.immutable) return kept;
+    target.splice(0, target.length, ...kept);
+    return target;
+  }
+
+  let out = options.immutable ? [...target] : target;
+  for (let item of source) {
+    let index = out.findIndex((existing) => keyOf(existing) === keyOf(item));
+    if (index === -1) {
+      out.push(copy(item, out.length));
+    } else {
+      out[index] = combine(mode, out[index], item, options, [...path, index]);
+    }
+  }
+  return out;
+}
+
+function normalizeOptions({
+  arrays = 'replace',
+  overwrite = true,
+  immutable = false,
+  ...rest
+} = {}) {
+  for (let key of Object.keys(rest)) {
+    if (!Object.hasOwn(MERGE_OPTIONS, key)) {
+      throw new TypeError(`Unknown merge option: ${key}`);
+    }
+  }
+  return { arrays, overwrite, immutable, ...rest };
+}
+
+// deepMerge(target, ...sources, options): the last argument is options
+// when there are at least two and it passes MERGE_OPTIONS, so
+// { arrays: 'concat' } is options while { arrays: [1, 2] } or
+// { custom: { color: 'red' } } are data. To merge a source that really
+// looks like options, pass {} after it.
+function splitOptions(args) {
+  let last = args.at(-1);
+  let isOptions =
+    args.length > 1 &&
+    isPlainObject(last) &&
+    Object.entries(last).every(
+      ([key, value]) =>
+        Object.hasOwn(MERGE_OPTIONS, key) && MERGE_OPTIONS[key](value)
+    );
+  return isOptions ? [args.slice(0, -1), last] : [args, {}];
+}
+
+// Every argument after target is a source, merged left to right
+function deepMerge(target, ...args) {
+  let [sources, options] = splitOptions(args);
+  let normalized = normalizeOptions(options);
+  return sources.reduce(
+    (result, source) => combine('merge', result, source, normalized),
+    target
+  );
+}
+
+// Custom merge that doesn't override existing properties
+function merge(target, ...args) {
+  let [sources, options] = splitOptions(args);
+  return deepMerge(target, ...sources, { ...options, overwrite: false });
+}
+
 // Comparison
 let assignResult = Object.assign({ x: 1 }, { x: 2, y: 2 }, { y: 3, z: 4 });
 console.log('Object.assign result:', assignResult);
@@ -155,16 +366,79 @@ console.log('Object.assign result:', assignResult);
 let mergeResult = merge({ x: 1 }, { x: 2, y: 2 }, { y: 3, z: 4 });
 console.log('merge() result:', mergeResult);
 
+let nestedMerge = merge(
+  { db: { host: 'prod' } },
+  { db: { host: 'localhost', port: 5432 } }
+);
+console.log('merge() fills nested gaps:', nestedMerge);
+
+// Deep merge with array strategies
+let layerBase = {
+  server: { port: 80, tls: { enabled: false } },
+  tags: ['web'],
+  plugins: [{ name: 'auth', options: { strict: false } }],
+};
+let override = {
+  server: { tls: { enabled: true } },
+  tags: ['api', 'web'],
+  plugins: [
+    { name: 'auth', options: { strict: true } },
+    { name: 'cache', options: {} },
+  ],
+};
+
+let replaced = deepMerge({}, layerBase, override, { immutable: true });
+console.log('\nDefault (arrays replace):', replaced.server, replaced.tags);
+
+let concatenated = deepMerge({}, layerBase, override, { arrays: 'concat' });
+console.log("arrays: 'concat':", concatenated.tags);
+
+let unioned = deepMerge({}, layerBase, override, {
+  arrays: 'unionBy',
+  unionBy: 'name',
+  custom: { tags: 'concat' },
+});
+console.log("arrays: 'unionBy' by name:", JSON.stringify(unioned.plugins));
+console.log("custom { tags: 'concat' }:", unioned.tags);
+
+let maxed = deepMerge(
+  { limits: { rps: 100 } },
+  { limits: { rps: 50 } },
+  { custom: { 'limits.rps': (a, b) => Math.max(a, b) } }
+);
+console.log('custom path function:', maxed.limits);
+
+// Immutable mode leaves the inputs untouched
+let frozenBase = Object.freeze({ theme: { color: 'blue', size: 'md' } });
+let themed = deepMerge(
+  frozenBase,
+  { theme: { color: 'green' } },
+  { immutable: true }
+);
+console.log('\nImmutable result:', themed.theme, '| base:', frozenBase.theme);
+
+// Prototype pollution is blocked
+let payload = JSON.parse(
+  '{"__proto__": {"isAdmin": true}, "constructor": {"prototype": {"isAdmin": true}}, "name": "eve"}'
+);
+let user = deepMerge({}, payload);
+console.log('\nMerged payload:', user);
+console.log('Polluted Object.prototype?', {}.isAdmin === true);
+
+// Config that happens to use option names is still just config, unless
+// it matches the options exactly; a trailing {} settles that case
+console.log(
+  'Option-like sources are data:',
+  deepMerge({}, { theme: 'x' }, { custom: { color: 'red' } }),
+  deepMerge({}, { arrays: [1, 2] }),
+  deepMerge({}, { theme: 'x' }, { arrays: 'concat' }, {})
+);
+
 console.log('\n=== 10. UTILITY FUNCTIONS ===\n');
 
-// restrict() - Keep only template properties
-function restrict(target, template) {
-  for (let key of Object.keys(target)) {
-    if (!(key in template)) {
-      delete target[key];
-    }
-  }
-  return target;
+// restrict() - Keep only template properties (deep, same strategies)
+function restrict(target, template, options) {
+  return combine('restrict', target, template, normalizeOptions(options));
 }
 
 let restrictObj = { x: 1, y: 2, z: 3, w: 4 };
@@ -173,12 +447,22 @@ console.log('Before restrict:', restrictObj);
 restrict(restrictObj, template);
 console.log('After restrict (only x, y):', restrictObj);
 
-// subtract() - Remove specified properties
-function subtract(target, source) {
-  for (let key of Object.keys(source)) {
-    delete target[key];
-  }
-  return target;
+let request = {
+  name: 'Ann',
+  role: 'admin',
+  address: { city: 'Oslo', geo: { lat: 59.9 } },
+  roles: [{ id: 'editor' }, { id: 'root' }],
+};
+let allowed = restrict(
+  request,
+  { name: '', address: { city: '' }, roles: [{ id: 'editor' }] },
+  { immutable: true, arrays: 'unionBy', unionBy: 'id' }
+);
+console.log('Deep restrict:', JSON.stringify(allowed));
+
+// subtract() - Remove specified properties (deep, same strategies)
+function subtract(target, source, options) {
+  return combine('subtract', target, source, normalizeOptions(options));
 }
 
 let subtractObj = { x: 1, y: 2, z: 3 };
@@ -187,6 +471,22 @@ console.log('\nBefore subtract:', subtractObj);
 subtract(subtractObj, toRemove);
 console.log('After subtract (removed y, z):', subtractObj);
 
+let settings = {
+  headers: { Accept: 'json', 'X-Debug': '1' },
+  features: ['search', 'beta-ui', 'export'],
+};
+let cleaned = subtract(
+  settings,
+  { headers: { 'X-Debug': true }, features: ['beta-ui'] },
+  { immutable: true, arrays: 'unionBy' }
+);
+console.log(
+  'Deep subtract:',
+  cleaned,
+  '| original kept:',
+  settings.features.length
+);
+
 console.log('\n=== 11. SHALLOW vs DEEP COPY ===\n');
 
 // Shallow copy problem
@@ -226,20 +526,173 @@ console.log('Original city:', original2.address.city); // Unchanged
 console.log('Deep copy city:', deepCopy.address.city);
 
 // Recursive deep copy function
-function deepClone(obj) {
-  if (obj === null || typeof obj !== 'object') return obj;
+// Follows structured-clone rules: cycles and shared references survive,
+// Dates, RegExps, Maps, Sets, ArrayBuffers, typed arrays and Errors are
+// copied by type, and class instances keep their prototype. Functions
+// are shared rather than copied. With { descriptors: true } getters,
+// setters, non-enumerable properties and frozen/sealed state are kept.
+// Per-call cloners (a Map from constructor to cloner) take priority over
+// the shared registry in deepClone.cloners.
+function deepClone(obj, { descriptors = false, cloners = new Map() } = {}) {
+  let seen = new Map(); // original -> copy
+
+  let context = {
+    clone,
+    copyProperties,
+    remember(original, copy) {
+      seen.set(original, copy);
+      return copy;
+    },
+  };
 
-  let copy = Array.isArray(obj) ? [] : {};
+  function clone(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (seen.has(value)) return seen.get(value);
 
-  for (let key in obj) {
-    if (obj.hasOwnProperty(key)) {
-      copy[key] = deepClone(obj[key]);
+    let cloner = findCloner(value);
+    if (cloner) {
+      return context.remember(value, cloner(value, context));
     }
+
+    let copy = Array.isArray(value)
+      ? new Array(value.length)
+      : Object.create(Object.getPrototypeOf(value));
+    if (Object.getPrototypeOf(copy) !== Object.getPrototypeOf(value)) {
+      Object.setPrototypeOf(copy, Object.getPrototypeOf(value));
+    }
+    seen.set(value, copy);
+    copyProperties(value, copy);
+    return copy;
+  }
+
+  // Match on the nearest constructor in the prototype chain, so
+  // subclasses of Map, Error, etc. use their parent's cloner
+  function findCloner(value) {
+    for (
+      let proto = Object.getPrototypeOf(value);
+      proto !== null;
+      proto = Object.getPrototypeOf(proto)
+    ) {
+      let type = proto.constructor;
+      let cloner = cloners.get(type) ?? deepClone.cloners.get(type);
+      if (cloner) return cloner;
+    }
+    return undefined;
+  }
+
+  function copyProperties(from, to) {
+    for (let key of Reflect.ownKeys(from)) {
+      if (Array.isArray(to) && key === 'length') continue;
+      let descriptor = Object.getOwnPropertyDescriptor(from, key);
+
+      if (descriptors) {
+        if ('value' in descriptor) descriptor.value = clone(descriptor.value);
+        Object.defineProperty(to, key, descriptor);
+      } else if (descriptor.enumerable) {
+        // defineProperty, not assignment: no inherited setters, and a
+        // "__proto__" key stays an ordinary property
+        Object.defineProperty(to, key, {
+          value: clone(from[key]),
+          writable: true,
+          enumerable: true,
+          configurable: true,
+        });
+      }
+    }
+
+    if (descriptors) {
+      if (Object.isFrozen(from)) Object.freeze(to);
+      else if (Object.isSealed(from)) Object.seal(to);
+      else if (!Object.isExtensible(from)) Object.preventExtensions(to);
+    }
+    return to;
   }
 
+  return clone(obj);
+}
+
+// Give a built-in copy the original's prototype (e.g. a Map subclass)
+function withPrototypeOf(original, copy) {
+  let proto = Object.getPrototypeOf(original);
+  if (Object.getPrototypeOf(copy) !== proto) Object.setPrototypeOf(copy, proto);
   return copy;
 }
 
+function uncloneable(value) {
+  throw new TypeError(
+    `deepClone cannot copy a ${value[Symbol.toStringTag] ?? typeof value}`
+  );
+}
+
+deepClone.cloners = new Map([
+  [Date, (date) => withPrototypeOf(date, new Date(date.getTime()))],
+  [
+    RegExp,
+    (regexp) => {
+      let copy = withPrototypeOf(
+        regexp,
+        new RegExp(regexp.source, regexp.flags)
+      );
+      copy.lastIndex = regexp.lastIndex;
+      return copy;
+    },
+  ],
+  [
+    Map,
+    (map, { clone, remember }) => {
+      // Remember before filling so entries can point back at the map
+      let copy = remember(map, withPrototypeOf(map, new Map()));
+      for (let [key, value] of map) copy.set(clone(key), clone(value));
+      return copy;
+    },
+  ],
+  [
+    Set,
+    (set, { clone, remember }) => {
+      let copy = remember(set, withPrototypeOf(set, new Set()));
+      for (let value of set) copy.add(clone(value));
+      return copy;
+    },
+  ],
+  [ArrayBuffer, (buffer) => withPrototypeOf(buffer, buffer.slice(0))],
+  [
+    DataView,
+    (view, { clone }) =>
+      new DataView(clone(view.buffer), view.byteOffset, view.byteLength),
+  ],
+  [
+    // %TypedArray%, the shared parent of Uint8Array, Float64Array, ...
+    Object.getPrototypeOf(Uint8Array),
+    (array, { clone }) => {
+      // Views over one buffer keep sharing one (copied) buffer
+      let Type = globalThis[array[Symbol.toStringTag]];
+      let copy = new Type(clone(array.buffer), array.byteOffset, array.length);
+      return withPrototypeOf(array, copy);
+    },
+  ],
+  [
+    Error,
+    (error, { clone, remember, copyProperties }) => {
+      let copy = remember(error, withPrototypeOf(error, new Error()));
+      // message, stack, cause and errors are own but non-enumerable
+      for (let key of ['message', 'stack', 'cause', 'errors']) {
+        if (Object.hasOwn(error, key)) {
+          Object.defineProperty(copy, key, {
+            value: clone(error[key]),
+            writable: true,
+            enumerable: false,
+            configurable: true,
+          });
+        }
+      }
+      return copyProperties(error, copy);
+    },
+  ],
+  [WeakMap, uncloneable],
+  [WeakSet, uncloneable],
+  [Promise, uncloneable],
+]);
+
 let original3 = {
   name: 'Bob',
   scores: [90, 85, 92],
@@ -256,6 +709,113 @@ console.log('Copy scores:', recursiveDeep.scores);
 console.log('Original meta:', original3.meta.updated);
 console.log('Copy meta:', recursiveDeep.meta.updated);
 
+// Built-in types, cycles and shared references
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  toString() {
+    return `(${this.x}, ${this.y})`;
+  }
+}
+
+let samples = new Float64Array([1.5, 2.5, 3.5, 4.5]);
+let doc = {
+  created: new Date('2024-01-15'),
+  pattern: /ab+c/gi,
+  origin: new Point(0, 0),
+  tags: new Set(['draft']),
+  samples,
+  firstHalf: samples.subarray(0, 2), // Shares samples' buffer
+  failure: new Error('Upload failed', { cause: new Error('Timeout') }),
+};
+doc.self = doc;
+doc.index = new Map([[doc.origin, 'origin']]);
+
+let docCopy = deepClone(doc);
+console.log('\nCloning built-ins and class instances:');
+console.log(
+  'Date copied?',
+  docCopy.created instanceof Date,
+  docCopy.created !== doc.created
+);
+console.log('RegExp flags:', docCopy.pattern.flags);
+console.log(
+  'Point prototype kept?',
+  docCopy.origin instanceof Point,
+  String(docCopy.origin)
+);
+console.log('Cycle kept?', docCopy.self === docCopy);
+console.log('Shared Map key?', docCopy.index.get(docCopy.origin));
+console.log(
+  'Views share one buffer?',
+  docCopy.firstHalf.buffer === docCopy.samples.buffer
+);
+console.log('Buffer copied?', docCopy.samples.buffer !== samples.buffer);
+console.log(
+  'Error:',
+  docCopy.failure.message,
+  '| cause:',
+  docCopy.failure.cause.message
+);
+
+// Property descriptors (opt-in)
+let account = Object.freeze({
+  owner: 'Ann',
+  get label() {
+    return `Account of ${this.owner}`;
+  },
+});
+let plainCopy = deepClone(account);
+let exactCopy = deepClone(account, { descriptors: true });
+console.log('\nDescriptors:');
+console.log(
+  'Default copy frozen?',
+  Object.isFrozen(plainCopy),
+  '| label getter?',
+  'get' in Object.getOwnPropertyDescriptor(plainCopy, 'label')
+);
+console.log(
+  'descriptors: true frozen?',
+  Object.isFrozen(exactCopy),
+  '| label getter?',
+  'get' in Object.getOwnPropertyDescriptor(exactCopy, 'label')
+);
+
+// Custom cloners: keep a shared connection instead of copying it
+class Connection {
+  constructor(url) {
+    this.url = url;
+  }
+}
+let db = new Connection('postgres://localhost/app');
+let service = { name: 'orders', db };
+let serviceCopy = deepClone(service, {
+  cloners: new Map([[Connection, (connection) => connection]]),
+});
+console.log('\nCustom cloner shares the connection?', serviceCopy.db === db);
+
+try {
+  deepClone({ cache: new WeakMap() });
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
+// Undo snapshots: each snapshot is independent of later edits
+let editor = { text: 'Hello', selection: new Set([0]) };
+let history = [deepClone(editor)];
+editor.text += ', world';
+editor.selection.add(7);
+history.push(deepClone(editor));
+editor.text = '';
+editor = deepClone(history[history.length - 1]); // Undo
+console.log('\nAfter undo:', editor.text, [...editor.selection]);
+console.log('First snapshot untouched:', history[0].text, [
+  ...history[0].selection,
+]);
+
 console.log('\n=== 12. GETTERS AND SETTERS ===\n');
 
 let sourceWithGetter = {
@@ -294,7 +854,8 @@ function createConfig(userOptions = {}) {
     debug: false,
   };
 
-  return { ...defaults, ...userOptions };
+  // Nested objects such as headers are merged, not replaced
+  return deepMerge({}, defaults, userOptions);
 }
 
 let config1 = createConfig();
@@ -303,6 +864,9 @@ console.log('Config with defaults:', config1);
 let config2 = createConfig({ timeout: 10000, debug: true });
 console.log('\nConfig with overrides:', config2);
 
+let config3 = createConfig({ headers: { Authorization: 'Bearer abc' } });
+console.log('\nConfig with an extra header:', config3.headers);
+
 console.log('\n=== 14. PRACTICAL EXAMPLE: Object Composition ===\n');
 
 const canEat = {
@@ -284,6 +284,9 @@ console.log('lastIndexOf(1):', values.lastIndexOf(1));
 console.log('indexOf(3):', values.indexOf(3)); // -1
 
 // Find all occurrences
+// For anything beyond this, query() in
+// 11-standard-library/01-sets-and-maps/map.js chains lazy where/select steps:
+// query(arr).select((v, i) => [v, i]).where(([v]) => v === 1)
 function findAll(arr, value) {
   let results = [],
     pos = 0;
@@ -125,20 +125,26 @@ console.log('\n=== 6. STRINGS ARE IMMUTABLE (READ-ONLY) ===\n');
 let text = 'hello';
 console.log('Original text:', text);
 
-// These mutating methods fail silently
+// Mutating array methods can't write to a string's indices or length,
+// so they throw a TypeError instead of changing it
 console.log('\nTrying mutating array methods:');
 
-console.log("Attempting Array.prototype.push.call(text, '!')");
-Array.prototype.push.call(text, '!');
-console.log('Result:', text); // "hello" (unchanged)
-
-console.log('\nAttempting Array.prototype.reverse.call(text)');
-Array.prototype.reverse.call(text);
-console.log('Result:', text); // "hello" (unchanged)
-
-console.log('\nAttempting Array.prototype.sort.call(text)');
-Array.prototype.sort.call(text);
-console.log('Result:', text); // "hello" (unchanged)
+let attempts = {
+  "Array.prototype.push.call(text, '!')": () =>
+    Array.prototype.push.call(text, '!'),
+  'Array.prototype.reverse.call(text)': () =>
+    Array.prototype.reverse.call(text),
+  'Array.prototype.sort.call(text)': () => Array.prototype.sort.call(text),
+};
+for (let [label, attempt] of Object.entries(attempts)) {
+  console.log(`\nAttempting ${label}`);
+  try {
+    attempt();
+  } catch (e) {
+    console.log(`${e.name}: ${e.message}`);
+  }
+  console.log('Result:', text); // "hello" (unchanged)
+}
 
 // Working around immutability
 console.log('\n\nWorking around immutability:');
@@ -172,14 +178,44 @@ console.log('Result:', arr3);
 console.log('\n=== 8. PRACTICAL EXAMPLES ===\n');
 
 // Example 1: Check if palindrome
-function isPalindrome(str) {
-  let reversed = [...str].reverse().join('');
-  return str === reversed;
+// Compares folded text, so case, accents, spaces and punctuation are
+// ignored: "Ésope reste ici et se repose" reads the same both ways
+function isPalindrome(str, locale) {
+  let letters = graphemes(foldText(str, locale), locale);
+  return letters.join('') === letters.reverse().join('');
+}
+
+// Lowercase, strip diacritics and keep only letters and digits.
+// NFD splits "É" into "E" + U+0301, and only marks that follow a Latin
+// letter are dropped: in "किताब" the vowel sign ि is a mark too, but
+// removing it would turn the word into a different one.
+function foldText(str, locale = 'en') {
+  return str
+    .normalize('NFD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .replace(/[^\p{L}\p{M}\p{N}]/gu, '')
+    .toLocaleLowerCase(locale)
+    .normalize('NFC');
+}
+
+// Split into user-perceived characters, so a consonant and its vowel
+// sign (or an emoji and its skin tone) move around as one unit
+function graphemes(str, locale = 'en') {
+  let segmenter = new Intl.Segmenter(locale, { granularity: 'grapheme' });
+  return Array.from(segmenter.segment(str), ({ segment }) => segment);
 }
 
 console.log('Example 1: Palindrome checker');
 console.log("isPalindrome('racecar'):", isPalindrome('racecar'));
 console.log("isPalindrome('hello'):", isPalindrome('hello'));
+console.log(
+  "isPalindrome('Ésope reste ici et se repose'):",
+  isPalindrome('Ésope reste ici et se repose')
+);
+console.log(
+  "isPalindrome('A man, a plan, a canal: Panama'):",
+  isPalindrome('A man, a plan, a canal: Panama')
+);
 
 // Example 2: Count character occurrences
 function countChar(str, char) {
@@ -212,12 +248,10 @@ console.log("removeDuplicates('hello'):", removeDuplicates('hello'));
 console.log("removeDuplicates('javascript'):", removeDuplicates('javascript'));
 
 // Example 5: Find most common character
-function mostCommon(str) {
-  let counts = {};
-
-  for (let char of str) {
-    counts[char] = (counts[char] || 0) + 1;
-  }
+// Counts graphemes (user-perceived characters) rather than code points, so
+// "👍🏽" or a Bengali letter with its vowel sign count as one character
+function mostCommon(str, locale) {
+  let counts = charFrequency(str, locale);
 
   return Object.keys(counts).reduce((a, b) => (counts[a] > counts[b] ? a : b));
 }
@@ -225,6 +259,7 @@ function mostCommon(str) {
 console.log('\nExample 5: Most common character');
 console.log("mostCommon('javascript'):", mostCommon('javascript'));
 console.log("mostCommon('hello'):", mostCommon('hello'));
+console.log("mostCommon('👍🏽👍🏽👍'):", mostCommon('👍🏽👍🏽👍'));
 
 // Example 6: Reverse words in sentence
 function reverseWords(str) {
@@ -273,22 +308,33 @@ console.log(
 );
 
 // Example 9: Check if anagram
-function isAnagram(str1, str2) {
-  let sorted1 = [...str1.toLowerCase()].sort().join('');
-  let sorted2 = [...str2.toLowerCase()].sort().join('');
+// Uses the same folding as isPalindrome(), so "Clint Eastwood" and
+// "Old West Action" match, and so do "é" (U+00E9) and "e" + U+0301
+function isAnagram(str1, str2, locale) {
+  let sorted1 = graphemes(foldText(str1, locale), locale).sort().join('');
+  let sorted2 = graphemes(foldText(str2, locale), locale).sort().join('');
   return sorted1 === sorted2;
 }
 
 console.log('\nExample 9: Anagram checker');
 console.log("isAnagram('listen', 'silent'):", isAnagram('listen', 'silent'));
 console.log("isAnagram('hello', 'world'):", isAnagram('hello', 'world'));
+console.log(
+  "isAnagram('Clint Eastwood', 'Old West Action'):",
+  isAnagram('Clint Eastwood', 'Old West Action')
+);
+console.log("isAnagram('Éric', 'cire'):", isAnagram('Éric', 'cire'));
+// ि belongs to क in one word and to ब in the other
+console.log("isAnagram('किताब', 'कताबि'):", isAnagram('किताब', 'कताबि'));
+console.log("foldText('किताब'):", foldText('किताब'));
 
 // Example 10: Get character frequency
-function charFrequency(str) {
+// A function declaration, so mostCommon() above can already use it
+function charFrequency(str, locale = 'en') {
   let freq = {};
 
-  for (let char of str) {
-    freq[char] = (freq[char] || 0) + 1;
+  for (let segment of graphemes(str.normalize('NFC'), locale)) {
+    freq[segment] = (freq[segment] || 0) + 1;
   }
 
   return freq;
@@ -296,6 +342,296 @@ function charFrequency(str) {
 
 console.log('\nExample 10: Character frequency');
 console.log("charFrequency('hello'):", charFrequency('hello'));
+console.log("charFrequency('মামা', 'bn'):", charFrequency('মামা', 'bn'));
+
+// Example 11: Edit distances
+// Strings are split with graphemes() first, like isAnagram() above, so
+// "👍🏽" or a consonant with its vowel sign is one character, not two.
+// Both functions keep only two or three rows of the
+// dynamic-programming table, and give up with Infinity as soon as every
+// cell in a row exceeds maxDistance - the answer can only grow from there.
+function levenshtein(a, b, { maxDistance = Infinity } = {}) {
+  let s = graphemes(a);
+  let t = graphemes(b);
+  if (Math.abs(s.length - t.length) > maxDistance) return Infinity;
+
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    let current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j++) {
+      let cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1, // deletion
+        current[j - 1] + 1, // insertion
+        previous[j - 1] + cost // substitution
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return Infinity;
+    previous = current;
+  }
+
+  let distance = previous[t.length];
+  return distance > maxDistance ? Infinity : distance;
+}
+
+// Damerau-Levenshtein (optimal string alignment): like levenshtein(), but
+// swapping two neighbouring characters ("teh" → "the") costs 1, not 2
+function damerau(a, b, { maxDistance = Infinity } = {}) {
+  let s = graphemes(a);
+  let t = graphemes(b);
+  if (Math.abs(s.length - t.length) > maxDistance) return Infinity;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    let current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j++) {
+      let cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1); // transposition
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return Infinity;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  let distance = previous[t.length];
+  return distance > maxDistance ? Infinity : distance;
+}
+
+console.log('\nExample 11: Edit distances');
+console.log(
+  "levenshtein('kitten', 'sitting'):",
+  levenshtein('kitten', 'sitting')
+);
+console.log("levenshtein('teh', 'the'):", levenshtein('teh', 'the'));
+console.log("damerau('teh', 'the'):", damerau('teh', 'the'));
+console.log("levenshtein('👍🏽', '👎'):", levenshtein('👍🏽', '👎')); // 1, not 2
+console.log(
+  "levenshtein('javascript', 'typescript', { maxDistance: 2 }):",
+  levenshtein('javascript', 'typescript', { maxDistance: 2 })
+);
+
+// Example 12: Jaro-Winkler similarity
+// A score from 0 (nothing in common) to 1 (identical) that counts
+// characters matching within a small window, penalizes transpositions, and
+// rewards a shared prefix of up to 4 characters. Good for short strings
+// such as names, where edit distance over-punishes small typos.
+function jaroWinkler(a, b, { minSimilarity = 0, prefixScale = 0.1 } = {}) {
+  let s = graphemes(a);
+  let t = graphemes(b);
+  if (s.length === 0 && t.length === 0) return 1;
+  if (s.length === 0 || t.length === 0) return 0;
+
+  // Early exit: even if every character of the shorter string matched,
+  // and the prefix bonus were maxed out, could we reach minSimilarity?
+  let shorter = Math.min(s.length, t.length);
+  let bestJaro = (shorter / s.length + shorter / t.length + 1) / 3;
+  if (bestJaro + 4 * prefixScale * (1 - bestJaro) < minSimilarity) return 0;
+
+  let window = Math.max(0, Math.floor(Math.max(s.length, t.length) / 2) - 1);
+  let sMatched = new Array(s.length).fill(false);
+  let tMatched = new Array(t.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < s.length; i++) {
+    let from = Math.max(0, i - window);
+    let to = Math.min(t.length - 1, i + window);
+    for (let j = from; j <= to; j++) {
+      if (!tMatched[j] && s[i] === t[j]) {
+        sMatched[i] = tMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  // Matched characters that appear in a different order
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < s.length; i++) {
+    if (!sMatched[i]) continue;
+    while (!tMatched[j]) j++;
+    if (s[i] !== t[j]) transpositions++;
+    j++;
+  }
+
+  let jaro =
+    (matches / s.length +
+      matches / t.length +
+      (matches - transpositions / 2) / matches) /
+    3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, shorter) && s[prefix] === t[prefix]) prefix++;
+
+  let similarity = jaro + prefix * prefixScale * (1 - jaro);
+  return similarity < minSimilarity ? 0 : similarity;
+}
+
+console.log('\nExample 12: Jaro-Winkler similarity');
+console.log(
+  "jaroWinkler('martha', 'marhta'):",
+  jaroWinkler('martha', 'marhta').toFixed(3)
+);
+console.log(
+  "jaroWinkler('dixon', 'dicksonx'):",
+  jaroWinkler('dixon', 'dicksonx').toFixed(3)
+);
+console.log(
+  "jaroWinkler('map', 'reduce'):",
+  jaroWinkler('map', 'reduce').toFixed(3)
+);
+
+// Example 13: Fuzzy search
+// Ranks items by how well each query word matches some word in the
+// searched fields, tolerating typos and accents:
+//   keys      - property names or dotted paths ('author.name'), or
+//               functions returning the text; omit for an array of strings
+//   threshold - minimum score from 0 to 1 (default 0.8)
+// Each result carries highlight ranges: [start, end) indices into the
+// original field text, ready for wrapping in <mark> or similar.
+function search(
+  query,
+  items,
+  { keys, threshold = 0.8, limit = Infinity, locale = 'en' } = {}
+) {
+  let segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+  let words = (text) =>
+    [...segmenter.segment(String(text))]
+      .filter((segment) => segment.isWordLike)
+      .map(({ segment, index }) => ({
+        folded: foldText(segment, locale),
+        start: index,
+        end: index + segment.length,
+      }));
+
+  let terms = words(query).map((word) => word.folded);
+  if (terms.length === 0) return [];
+
+  let getters = (keys ?? [(item) => item]).map((key) =>
+    typeof key === 'function'
+      ? { key: key.name || 'value', get: key }
+      : {
+          key,
+          get: (item) =>
+            key.split('.').reduce((value, part) => value?.[part], item),
+        }
+  );
+
+  // 1 for an exact word, just under 1 for a prefix ("java" in "javascript"),
+  // otherwise the better of Jaro-Winkler and a typo-tolerant edit distance
+  function scoreWord(term, word) {
+    if (word === term) return 1;
+    let termLength = graphemes(term).length;
+    let wordLength = graphemes(word).length;
+    if (word.startsWith(term)) return 0.9 + 0.1 * (termLength / wordLength);
+    let typos = damerau(term, word, { maxDistance: termLength > 4 ? 2 : 1 });
+    let byDistance = 1 - typos / Math.max(termLength, wordLength);
+    return Math.max(
+      jaroWinkler(term, word, { minSimilarity: threshold }),
+      byDistance
+    );
+  }
+
+  let results = [];
+  for (let item of items) {
+    let fields = getters
+      .map(({ key, get }) => ({ key, value: get(item) }))
+      .filter(({ value }) => value != null)
+      .map((field) => ({ ...field, words: words(field.value) }));
+
+    // Every query word has to match somewhere; the item's score is the average
+    let total = 0;
+    let highlights = new Map();
+    for (let term of terms) {
+      let best = { score: 0 };
+      for (let field of fields) {
+        for (let word of field.words) {
+          let score = scoreWord(term, word.folded);
+          if (score > best.score) best = { score, field, word };
+        }
+      }
+      if (best.score < threshold) {
+        total = -Infinity;
+        break;
+      }
+      total += best.score;
+      let ranges = highlights.get(best.field) ?? [];
+      ranges.push([best.word.start, best.word.end]);
+      highlights.set(best.field, ranges);
+    }
+    if (total === -Infinity) continue;
+
+    let matches = [...highlights].map(([field, ranges]) => ({
+      key: field.key,
+      value: field.value,
+      indices: mergeRanges(ranges),
+    }));
+    results.push({ item, score: total / terms.length, matches });
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// Sorts [start, end) pairs and joins overlapping or touching ones
+function mergeRanges(ranges) {
+  let merged = [];
+  for (let [start, end] of ranges.sort((a, b) => a[0] - b[0])) {
+    let last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+function highlight(text, indices, open = '[', close = ']') {
+  let result = '';
+  let position = 0;
+  for (let [start, end] of indices) {
+    result +=
+      text.slice(position, start) + open + text.slice(start, end) + close;
+    position = end;
+  }
+  return result + text.slice(position);
+}
+
+console.log('\nExample 13: Fuzzy search');
+let books = [
+  { title: 'Eloquent JavaScript', author: { name: 'Marijn Haverbeke' } },
+  {
+    title: 'JavaScript: The Definitive Guide',
+    author: { name: 'David Flanagan' },
+  },
+  { title: "You Don't Know JS", author: { name: 'Kyle Simpson' } },
+  { title: 'Les Misérables', author: { name: 'Victor Hugo' } },
+];
+
+for (let query of ['javscript flanagan', 'miserables', 'haverbek']) {
+  console.log(`search('${query}'):`);
+  for (let { item, score, matches } of search(query, books, {
+    keys: ['title', 'author.name'],
+  })) {
+    let shown = matches.map(({ value, indices }) => highlight(value, indices));
+    console.log(`  ${score.toFixed(3)}  ${item.title} — ${shown.join(' | ')}`);
+  }
+}
+console.log(
+  "search('aple', ['apple', 'maple', 'pear']):",
+  search('aple', ['apple', 'maple', 'pear']).map(
+    ({ item, score }) => `${item} ${score.toFixed(2)}`
+  )
+);
 
 console.log('\n=== 9. UNICODE CONSIDERATIONS ===\n');
 
@@ -4,7 +4,8 @@
 
 console.log('=== 1. FACTORY FUNCTION PATTERN ===\n');
 
-// Factory function that returns new range objects
+// Factory function that returns new range objects. Steps, exclusive
+// ends and parsing arrive once Range becomes a class in 03.
 function range(from, to) {
   // Create object that inherits from the prototype
   let r = Object.create(range.methods);
@@ -31,7 +32,7 @@ range.methods = {
   },
 
   toString() {
-    return '(' + this.from + '...' + this.to + ')';
+    return '[' + this.from + '..' + this.to + ']';
   },
 };
 
@@ -5,6 +5,7 @@
 console.log('=== 1. CONSTRUCTOR FUNCTION PATTERN (PRE-ES6) ===\n');
 
 // Constructor function - note the capital letter
+// (03-classes-with-the-class-keyword rewrites this Range with `class`)
 function Range(from, to) {
   // Initialize instance properties (state)
   // 'this' refers to the new object being created
@@ -24,7 +25,7 @@ Range.prototype = {
 
   // String representation
   toString: function () {
-    return '(' + this.from + '...' + this.to + ')';
+    return '[' + this.from + '..' + this.to + ']';
   },
 
   // Generator function for iteration
@@ -62,7 +63,7 @@ createRange.methods = {
   },
 
   toString() {
-    return `[${this.from}...${this.to}]`;
+    return `[${this.from}..${this.to}]`;
   },
 };
 
@@ -4,27 +4,297 @@
 
 console.log('=== 1. BASIC CLASS SYNTAX ===\n');
 
+// The one Range class the rest of this chapter builds on. Ends can be
+// numbers or Dates, either end can be exclusive, and `step` may be
+// fractional or negative. Iteration is lazy, so huge ranges are cheap.
 class Range {
-  constructor(from, to) {
+  constructor(
+    from,
+    to,
+    { step, startInclusive = true, endInclusive = true } = {}
+  ) {
+    if (from instanceof Date !== to instanceof Date) {
+      throw new TypeError('Range ends must both be numbers or both be Dates');
+    }
     this.from = from;
     this.to = to;
+    this.step = step ?? Range._defaultStep(from, to);
+    if (!Number.isFinite(this.step) || this.step === 0) {
+      throw new RangeError(`Invalid Range step: ${step}`);
+    }
+    this.startInclusive = startInclusive;
+    this.endInclusive = endInclusive;
+  }
+
+  static _defaultStep(from, to) {
+    let unit = from instanceof Date ? Range.DAY : 1;
+    return to < from ? -unit : unit;
+  }
+
+  // Range.parse('(5...10)')          inclusive, the classic notation
+  // Range.parse('[1..10)')           interval notation, optional ':step'
+  // Range.parse('1:10:2')            start:stop[:step], stop is exclusive
+  // Range.parse('2024-01-01/P7D')    ISO 8601 interval, start/end or start/duration
+  static parse(s) {
+    let text = String(s).trim();
+    let matches;
+
+    if ((matches = text.match(/^\((.+?)\.\.\.(.+)\)$/))) {
+      return new Range(
+        Range._parseValue(matches[1]),
+        Range._parseValue(matches[2])
+      );
+    }
+
+    if ((matches = text.match(/^([[(])(.+?)\.\.(.+?)([\])])(?::(.+))?$/))) {
+      let [, open, from, to, close, step] = matches;
+      return new Range(Range._parseValue(from), Range._parseValue(to), {
+        step: step === undefined ? undefined : Range._parseNumber(step),
+        startInclusive: open === '[',
+        endInclusive: close === ']',
+      });
+    }
+
+    if ((matches = text.match(/^([^/]+)\/([^/]+)$/))) {
+      let from = Range._parseDate(matches[1]);
+      let to = matches[2].startsWith('P')
+        ? new Date(from.getTime() + Range._parseDuration(matches[2]))
+        : Range._parseDate(matches[2]);
+      return new Range(from, to);
+    }
+
+    if ((matches = text.match(/^([^:]+):([^:]+)(?::([^:]+))?$/))) {
+      let [, from, to, step] = matches;
+      return new Range(Range._parseNumber(from), Range._parseNumber(to), {
+        step: step === undefined ? undefined : Range._parseNumber(step),
+        endInclusive: false,
+      });
+    }
+
+    throw new TypeError(`Cannot parse Range from "${s}".`);
+  }
+
+  static _parseValue(s) {
+    return /^\d{4}-\d{2}-\d{2}/.test(s.trim())
+      ? Range._parseDate(s)
+      : Range._parseNumber(s);
   }
 
+  static _parseNumber(s) {
+    let n = Number(s);
+    if (s.trim() === '' || !Number.isFinite(n)) {
+      throw new TypeError(`Cannot parse Range bound from "${s}".`);
+    }
+    return n;
+  }
+
+  static _parseDate(s) {
+    let date = new Date(s.trim());
+    if (!/^\d{4}-\d{2}-\d{2}/.test(s.trim()) || isNaN(date)) {
+      throw new TypeError(`Cannot parse Range date from "${s}".`);
+    }
+    return date;
+  }
+
+  // Only fixed-length units: months and years have no single length
+  static _parseDuration(s) {
+    let matches = s.match(
+      /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+    );
+    if (!matches || s === 'P' || s.endsWith('T')) {
+      throw new TypeError(`Cannot parse Range duration from "${s}".`);
+    }
+    let [, w = 0, d = 0, h = 0, m = 0, sec = 0] = matches;
+    return ((((+w * 7 + +d) * 24 + +h) * 60 + +m) * 60 + +sec) * 1000;
+  }
+
+  get isDate() {
+    return this.from instanceof Date;
+  }
+
+  // Number of values the iterator yields, computed without iterating
+  get size() {
+    let steps = (this.to - this.from) / this.step;
+    if (steps < 0) return 0;
+    let whole = Math.floor(steps + 1e-9);
+    let count = whole + 1;
+    if (!this.startInclusive) count--;
+    if (!this.endInclusive && Math.abs(steps - whole) < 1e-9) count--;
+    return Math.max(0, count);
+  }
+
+  // Continuous membership: is x between the ends?
   includes(x) {
-    return this.from <= x && x <= this.to;
+    let { lo, hi, loInclusive, hiInclusive } = this._bounds();
+    return (loInclusive ? lo <= x : lo < x) && (hiInclusive ? x <= hi : x < hi);
   }
 
+  // The value k steps from the start, rounded so 0.1 steps stay tidy
+  _at(k) {
+    let x = +this.from + k * this.step;
+    if (!this.isDate) {
+      let digits = Math.max(
+        Range._decimals(this.from),
+        Range._decimals(this.step)
+      );
+      x = Number(x.toFixed(Math.min(digits, 20)));
+    }
+    return this.isDate ? new Date(x) : x;
+  }
+
+  static _decimals(n) {
+    let [, fraction = '', exponent = 0] =
+      String(+n).match(/^-?\d*(?:\.(\d+))?(?:e([+-]\d+))?$/) || [];
+    return Math.max(0, fraction.length - exponent);
+  }
+
+  *[Symbol.iterator]() {
+    let first = this.startInclusive ? 0 : 1;
+    for (let k = 0; k < this.size; k++) {
+      yield this._at(first + k);
+    }
+  }
+
+  // Same values in the opposite order
+  reverse() {
+    let size = this.size;
+    if (size === 0) {
+      return new Range(this.to, this.from, {
+        step: -this.step,
+        startInclusive: this.endInclusive,
+        endInclusive: this.startInclusive,
+      });
+    }
+    let first = this.startInclusive ? 0 : 1;
+    return new Range(this._at(first + size - 1), this._at(first), {
+      step: -this.step,
+    });
+  }
+
+  // Lowest and highest end regardless of direction
+  _bounds() {
+    let ascending = this.from <= this.to;
+    return {
+      lo: ascending ? +this.from : +this.to,
+      hi: ascending ? +this.to : +this.from,
+      loInclusive: ascending ? this.startInclusive : this.endInclusive,
+      hiInclusive: ascending ? this.endInclusive : this.startInclusive,
+    };
+  }
+
+  _fromBounds({ lo, hi, loInclusive, hiInclusive }) {
+    let wrap = (x) => (this.isDate ? new Date(x) : x);
+    return new Range(wrap(lo), wrap(hi), {
+      step: Math.abs(this.step),
+      startInclusive: loInclusive,
+      endInclusive: hiInclusive,
+    });
+  }
+
+  _checkCompatible(that) {
+    if (!(that instanceof Range)) {
+      throw new TypeError(`Expected a Range, got ${that}`);
+    }
+    if (this.isDate !== that.isDate) {
+      throw new TypeError('Cannot combine a date Range with a numeric Range');
+    }
+  }
+
+  // Overlap of the two intervals, or null when they don't meet
+  intersect(that) {
+    this._checkCompatible(that);
+    let a = this._bounds();
+    let b = that._bounds();
+    let lo = Math.max(a.lo, b.lo);
+    let hi = Math.min(a.hi, b.hi);
+    let loInclusive =
+      (a.lo === lo ? a.loInclusive : true) &&
+      (b.lo === lo ? b.loInclusive : true);
+    let hiInclusive =
+      (a.hi === hi ? a.hiInclusive : true) &&
+      (b.hi === hi ? b.hiInclusive : true);
+    if (lo > hi || (lo === hi && !(loInclusive && hiInclusive))) return null;
+    return this._fromBounds({ lo, hi, loInclusive, hiInclusive });
+  }
+
+  // Smallest interval covering both, or null when a gap separates them
+  union(that) {
+    this._checkCompatible(that);
+    let a = this._bounds();
+    let b = that._bounds();
+    let [first, second] = a.lo <= b.lo ? [a, b] : [b, a];
+    if (
+      second.lo > first.hi ||
+      (second.lo === first.hi && !first.hiInclusive && !second.loInclusive)
+    ) {
+      return null;
+    }
+    let lo = first.lo;
+    let hi = Math.max(a.hi, b.hi);
+    return this._fromBounds({
+      lo,
+      hi,
+      loInclusive:
+        (a.lo === lo && a.loInclusive) || (b.lo === lo && b.loInclusive),
+      hiInclusive:
+        (a.hi === hi && a.hiInclusive) || (b.hi === hi && b.hiInclusive),
+    });
+  }
+
+  // Does this interval cover all of that one?
+  contains(that) {
+    this._checkCompatible(that);
+    let a = this._bounds();
+    let b = that._bounds();
+    let loOk =
+      a.lo < b.lo || (a.lo === b.lo && (a.loInclusive || !b.loInclusive));
+    let hiOk =
+      b.hi < a.hi || (a.hi === b.hi && (a.hiInclusive || !b.hiInclusive));
+    return loOk && hiOk;
+  }
+
+  // Interval notation that Range.parse reads back
   toString() {
-    return `(${this.from}...${this.to})`;
+    let format = (x) =>
+      this.isDate ? x.toISOString().replace('T00:00:00.000Z', '') : String(x);
+    let step =
+      this.step === Range._defaultStep(this.from, this.to)
+        ? ''
+        : `:${this.step}`;
+    return (
+      (this.startInclusive ? '[' : '(') +
+      `${format(this.from)}..${format(this.to)}` +
+      (this.endInclusive ? ']' : ')') +
+      step
+    );
   }
 }
 
+Range.DAY = 24 * 60 * 60 * 1000;
+
 let r = new Range(1, 3);
 console.log('Range object:', r);
 console.log('r.includes(2):', r.includes(2));
 console.log('r.toString():', r.toString());
 console.log('Range is a function?', typeof Range); // "function"
 
+let halfOpen = new Range(0, 10, { endInclusive: false });
+let evens = new Range(0, 10, { step: 2 });
+console.log('\nhalfOpen.toString():', halfOpen.toString());
+console.log('halfOpen.includes(10):', halfOpen.includes(10));
+console.log('evens:', [...evens], 'size', evens.size);
+console.log('evens.reverse():', [...evens.reverse()]);
+console.log('Countdown:', [...new Range(3, 0)]);
+console.log('Tenths:', [...new Range(0, 0.5, { step: 0.1 })]);
+
+let a = new Range(1, 5);
+let b = new Range(3, 8, { endInclusive: false });
+console.log('\na.intersect(b):', String(a.intersect(b)));
+console.log('a.union(b):', String(a.union(b)));
+console.log('a.union([7..9]):', a.union(new Range(7, 9)));
+console.log('b.contains([4..6]):', b.contains(new Range(4, 6)));
+console.log('b.contains([4..8]):', b.contains(new Range(4, 8)));
+
 console.log('\n=== 2. CONSTRUCTOR METHOD ===\n');
 
 class Person {
@@ -113,29 +383,25 @@ try {
   console.log('Error calling static method on instance:', e.message);
 }
 
-// Practical static method example
-class RangeParser {
-  constructor(from, to) {
-    this.from = from;
-    this.to = to;
-  }
+// Practical static method example: Range.parse builds instances from text
+for (let text of ['(5...10)', '[1..10)', '1:10:2', '[0..1]:0.25']) {
+  let parsed = Range.parse(text);
+  console.log(`Range.parse('${text}'):`, parsed.toString(), [...parsed]);
+}
 
-  static parse(s) {
-    let matches = s.match(/^\((\d+)\.\.\.(\d+)\)$/);
-    if (!matches) {
-      throw new TypeError(`Cannot parse Range from "${s}".`);
-    }
-    return new RangeParser(parseInt(matches[1]), parseInt(matches[2]));
-  }
+let week = Range.parse('2024-03-04/P6D');
+console.log('ISO interval:', week.toString(), 'days:', week.size);
+console.log(
+  'Days:',
+  [...week].map((d) => d.toISOString().slice(5, 10))
+);
 
-  toString() {
-    return `(${this.from}...${this.to})`;
-  }
+try {
+  Range.parse('5 to 10');
+} catch (e) {
+  console.log('Parse error:', e.message);
 }
 
-let parsed = RangeParser.parse('(5...10)');
-console.log('\nParsed range:', parsed.toString());
-
 console.log('\n=== 5. GETTERS AND SETTERS ===\n');
 
 class Circle {
@@ -183,20 +449,9 @@ try {
 
 console.log('\n=== 6. GENERATOR METHODS ===\n');
 
-class IterableRange {
-  constructor(from, to) {
-    this.from = from;
-    this.to = to;
-  }
-
-  *[Symbol.iterator]() {
-    for (let x = Math.ceil(this.from); x <= this.to; x++) {
-      yield x;
-    }
-  }
-}
-
-let range = new IterableRange(1, 5);
+// Range's [Symbol.iterator] is a generator method: values are produced
+// one at a time, so even an unbounded range is cheap to create
+let range = new Range(1, 5);
 console.log('Iterating over range:');
 for (let num of range) {
   console.log('  ', num);
@@ -204,6 +459,14 @@ for (let num of range) {
 
 console.log('Convert to array:', [...range]);
 
+let naturals = new Range(1, Infinity);
+let firstSquares = [];
+for (let n of naturals) {
+  if (firstSquares.length === 5) break;
+  firstSquares.push(n * n);
+}
+console.log('First squares from an infinite range:', firstSquares);
+
 console.log('\n=== 7. COMPUTED PROPERTY NAMES ===\n');
 
 let methodName = 'sayHello';
@@ -386,7 +649,7 @@ console.log(dog.speak());
 console.log(dog.getInfo());
 
 // Span example from the document
-class Span extends IterableRange {
+class Span extends Range {
   constructor(start, length) {
     if (length >= 0) {
       super(start, start + length);
@@ -438,23 +701,148 @@ console.log('\n=== 15. COMPLETE EXAMPLE: COMPLEX NUMBER CLASS ===\n');
 
 class Complex {
   // Constructor defines instance fields
-  constructor(real, imaginary) {
+  constructor(real, imaginary = 0) {
     this.r = real;
     this.i = imaginary;
   }
 
+  // Numbers are accepted wherever a Complex is expected
+  static from(x) {
+    return x instanceof Complex ? x : new Complex(x, 0);
+  }
+
+  static fromPolar(magnitude, angle) {
+    return new Complex(
+      magnitude * Math.cos(angle),
+      magnitude * Math.sin(angle)
+    );
+  }
+
+  // Parses the format toString() produces: "3-4i", "2.5+1e-3i", "-i",
+  // "7". Spaces around the sign are allowed: "3 - 4i".
+  static parse(text) {
+    const number = String.raw`(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?`;
+    let source = String(text).trim();
+
+    // Both parts: "3-4i", "3 + i"
+    let match = source.match(
+      new RegExp(String.raw`^([+-]?${number})\s*([+-])\s*(${number})?i$`)
+    );
+    if (match) {
+      return new Complex(Number(match[1]), Number(match[2] + (match[3] ?? 1)));
+    }
+
+    // Imaginary only: "4i", "-i"
+    match = source.match(new RegExp(String.raw`^([+-]?)(${number})?i$`));
+    if (match) return new Complex(0, Number(match[1] + (match[2] ?? 1)));
+
+    // Real only: "7"
+    if (new RegExp(String.raw`^[+-]?${number}$`).test(source)) {
+      return new Complex(Number(source), 0);
+    }
+
+    throw new SyntaxError(`Invalid complex number: "${text}"`);
+  }
+
   // Instance methods
   plus(that) {
+    that = Complex.from(that);
     return new Complex(this.r + that.r, this.i + that.i);
   }
 
+  minus(that) {
+    that = Complex.from(that);
+    return new Complex(this.r - that.r, this.i - that.i);
+  }
+
   times(that) {
+    that = Complex.from(that);
     return new Complex(
       this.r * that.r - this.i * that.i,
       this.r * that.i + this.i * that.r
     );
   }
 
+  // Smith's algorithm: avoids overflow in c² + d² for large divisors
+  div(that) {
+    that = Complex.from(that);
+    let { r: c, i: d } = that;
+    if (c === 0 && d === 0) throw new RangeError('Complex division by zero');
+
+    if (Math.abs(c) >= Math.abs(d)) {
+      let ratio = d / c;
+      let denominator = c + d * ratio;
+      return new Complex(
+        (this.r + this.i * ratio) / denominator,
+        (this.i - this.r * ratio) / denominator
+      );
+    }
+    let ratio = c / d;
+    let denominator = c * ratio + d;
+    return new Complex(
+      (this.r * ratio + this.i) / denominator,
+      (this.i * ratio - this.r) / denominator
+    );
+  }
+
+  // Integer exponents use repeated squaring, so Complex.I.pow(2) is
+  // exactly -1; anything else goes through exp(w * log(z))
+  pow(that) {
+    if (typeof that === 'number' && Number.isInteger(that)) {
+      let base = that < 0 ? Complex.ONE.div(this) : this;
+      let result = Complex.ONE;
+      for (let n = Math.abs(that); n > 0; n = Math.floor(n / 2)) {
+        if (n % 2 === 1) result = result.times(base);
+        base = base.times(base);
+      }
+      return result;
+    }
+
+    that = Complex.from(that);
+    if (this.r === 0 && this.i === 0) {
+      if (that.r === 0 && that.i === 0) return Complex.ONE;
+      if (that.r > 0) return Complex.ZERO;
+      throw new RangeError('Zero raised to a non-positive power');
+    }
+    return this.log().times(that).exp();
+  }
+
+  // Principal square root (non-negative real part)
+  sqrt() {
+    let m = this.magnitude;
+    let re = Math.sqrt((m + this.r) / 2);
+    let im = Math.sqrt((m - this.r) / 2);
+    return new Complex(re, this.i < 0 ? -im : im);
+  }
+
+  exp() {
+    let scale = Math.exp(this.r);
+    return new Complex(scale * Math.cos(this.i), scale * Math.sin(this.i));
+  }
+
+  // Principal natural logarithm
+  log() {
+    return new Complex(Math.log(this.magnitude), this.arg);
+  }
+
+  sin() {
+    return new Complex(
+      Math.sin(this.r) * Math.cosh(this.i),
+      Math.cos(this.r) * Math.sinh(this.i)
+    );
+  }
+
+  cos() {
+    return new Complex(
+      Math.cos(this.r) * Math.cosh(this.i),
+      -Math.sin(this.r) * Math.sinh(this.i)
+    );
+  }
+
+  conj() {
+    return new Complex(this.r, -this.i);
+  }
+
   // Static methods
   static sum(c, d) {
     return c.plus(d);
@@ -477,13 +865,26 @@ class Complex {
     return Math.hypot(this.r, this.i);
   }
 
+  // Angle in radians, in (-π, π]
+  get arg() {
+    return Math.atan2(this.i, this.r);
+  }
+
   // Standard methods
+  // "3-4i" style; Complex.parse() reads it back exactly
   toString() {
-    return `{${this.r},${this.i}}`;
+    let sign = this.i < 0 || Object.is(this.i, -0) ? '-' : '+';
+    return `${this.r}${sign}${Math.abs(this.i)}i`;
   }
 
-  equals(that) {
-    return that instanceof Complex && this.r === that.r && this.i === that.i;
+  // Floating-point results rarely match exactly, so compare within a
+  // relative tolerance. Pass epsilon = 0 for exact comparison.
+  equals(that, epsilon = Complex.EPSILON) {
+    if (!(that instanceof Complex)) return false;
+    const close = (a, b) =>
+      a === b ||
+      Math.abs(a - b) <= epsilon * Math.max(1, Math.abs(a), Math.abs(b));
+    return close(this.r, that.r) && close(this.i, that.i);
   }
 }
 
@@ -491,6 +892,7 @@ class Complex {
 Complex.ZERO = new Complex(0, 0);
 Complex.ONE = new Complex(1, 0);
 Complex.I = new Complex(0, 1);
+Complex.EPSILON = 1e-10;
 
 console.log('Creating complex numbers:');
 let c = new Complex(2, 3);
@@ -509,6 +911,46 @@ console.log('Static field I:', Complex.I.toString());
 console.log('c equals d?', c.equals(d));
 console.log('c equals c?', c.equals(c));
 
+console.log('\nArithmetic and functions:');
+console.log('c - d:', c.minus(d).toString());
+console.log('c / d:', c.div(d).toString());
+console.log('(c / d) * d equals c?', c.div(d).times(d).equals(c));
+console.log('I.pow(2):', Complex.I.pow(2).toString());
+console.log('sqrt(-4):', new Complex(-4).sqrt().toString());
+console.log('c.conj():', c.conj().toString());
+console.log('c.arg:', c.arg.toFixed(4));
+
+// Euler's identity: e^(iπ) + 1 = 0 (up to rounding)
+let euler = new Complex(0, Math.PI).exp().plus(1);
+console.log('e^(iπ) + 1:', euler.toString());
+console.log('equals ZERO (with tolerance)?', euler.equals(Complex.ZERO));
+console.log('equals ZERO (exactly)?', euler.equals(Complex.ZERO, 0));
+
+// sin² + cos² = 1 holds for complex arguments too
+let s = c.sin();
+let k = c.cos();
+console.log('sin²(c) + cos²(c):', s.times(s).plus(k.times(k)).toString());
+console.log('log(exp(c)) equals c?', c.exp().log().equals(c));
+
+// Polar form
+let polar = Complex.fromPolar(2, Math.PI / 2);
+console.log('fromPolar(2, π/2) ≈ 2i?', polar.equals(new Complex(0, 2)));
+
+// Parsing round-trips with toString()
+for (let text of ['3-4i', '-2.5+1e-7i', 'i', '-i', '7', '3 + 4i', '-6i']) {
+  let parsed = Complex.parse(text);
+  console.log(
+    `parse("${text}") = ${parsed}`,
+    '| round trip:',
+    Complex.parse(parsed.toString()).equals(parsed, 0)
+  );
+}
+try {
+  Complex.parse('3+4j');
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
 console.log('\n=== 16. PRACTICAL EXAMPLE: USER CLASS ===\n');
 
 class User {
@@ -4,15 +4,17 @@
 
 console.log('=== 1. ADDING METHODS TO CUSTOM CLASSES ===\n');
 
-// Original custom class
+// Original custom class (a trimmed-down version of the Complex class
+// from 09-classes/03, with the same fields and string format)
 class Complex {
-  constructor(real, imaginary) {
+  constructor(real, imaginary = 0) {
     this.r = real;
     this.i = imaginary;
   }
 
   toString() {
-    return `${this.r} + ${this.i}i`;
+    let sign = this.i < 0 || Object.is(this.i, -0) ? '-' : '+';
+    return `${this.r}${sign}${Math.abs(this.i)}i`;
   }
 }
 
@@ -25,20 +27,24 @@ Complex.prototype.conj = function () {
   return new Complex(this.r, -this.i);
 };
 
-// Add another method for magnitude
-Complex.prototype.magnitude = function () {
-  return Math.sqrt(this.r * this.r + this.i * this.i);
-};
+// Getters can be added too. magnitude is a getter in the full class,
+// so add it as one here rather than as a method
+Object.defineProperty(Complex.prototype, 'magnitude', {
+  get() {
+    return Math.hypot(this.r, this.i);
+  },
+  configurable: true,
+});
 
 // The instance created BEFORE still has access to new methods!
 let conjugate = c1.conj();
 console.log('Conjugate (added after creation):', conjugate.toString());
-console.log('Magnitude:', c1.magnitude());
+console.log('Magnitude:', c1.magnitude);
 
 // New instances also have the methods
 let c2 = new Complex(5, 12);
 console.log('New complex number:', c2.toString());
-console.log('Its magnitude:', c2.magnitude());
+console.log('Its magnitude:', c2.magnitude);
 
 console.log('\n=== 2. DYNAMIC PROTOTYPE INHERITANCE ===\n');
 
@@ -332,38 +338,38 @@ console.log('Sum:', arrayMethods.sum(data));
 console.log('\n=== 12. PRACTICAL EXAMPLE: CUSTOM CLASS ===\n');
 
 // A practical example with custom class
-class ShoppingCart {
+class Playlist {
   constructor() {
-    this.items = [];
+    this.songs = [];
   }
 
-  addItem(item) {
-    this.items.push(item);
+  addSong(song) {
+    this.songs.push(song);
   }
 }
 
 // Extend the class after definition
-ShoppingCart.prototype.getTotal = function () {
-  return this.items.reduce((sum, item) => sum + item.price, 0);
+Playlist.prototype.getDuration = function () {
+  return this.songs.reduce((sum, song) => sum + song.seconds, 0);
 };
 
-ShoppingCart.prototype.getItemCount = function () {
-  return this.items.length;
+Playlist.prototype.getSongCount = function () {
+  return this.songs.length;
 };
 
-ShoppingCart.prototype.clear = function () {
-  this.items = [];
+Playlist.prototype.clear = function () {
+  this.songs = [];
 };
 
 // Usage
-let cart = new ShoppingCart();
-cart.addItem({ name: 'Book', price: 20 });
-cart.addItem({ name: 'Pen', price: 5 });
-cart.addItem({ name: 'Notebook', price: 10 });
-
-console.log('Cart items:', cart.items);
-console.log('Total price:', cart.getTotal());
-console.log('Item count:', cart.getItemCount());
+let playlist = new Playlist();
+playlist.addSong({ title: 'Intro', seconds: 95 });
+playlist.addSong({ title: 'Theme', seconds: 210 });
+playlist.addSong({ title: 'Outro', seconds: 120 });
+
+console.log('Playlist songs:', playlist.songs);
+console.log('Total duration (s):', playlist.getDuration());
+console.log('Song count:', playlist.getSongCount());
 
 console.log('\n=== 13. BEST PRACTICES SUMMARY ===\n');
 
@@ -4,7 +4,8 @@
 
 console.log('=== 1. PRE-ES6: SUBCLASSING WITH PROTOTYPES ===\n');
 
-// Define Range class (superclass)
+// Define Range class (superclass) - only from/to, which is all the
+// subclass needs
 function Range(from, to) {
   this.from = from;
   this.to = to;
@@ -15,7 +16,7 @@ Range.prototype.includes = function (x) {
 };
 
 Range.prototype.toString = function () {
-  return `[${this.from}...${this.to}]`;
+  return `[${this.from}..${this.to}]`;
 };
 
 // Create Span subclass the old way
@@ -35,7 +36,7 @@ Span.prototype.constructor = Span;
 
 // Override toString()
 Span.prototype.toString = function () {
-  return `(${this.from}... +${this.to - this.from})`;
+  return `[${this.from}..+${this.to - this.from}]`;
 };
 
 console.log('Testing pre-ES6 subclass:');
@@ -83,14 +84,150 @@ console.log(
 
 console.log('\n=== 3. USING super IN CONSTRUCTOR ===\n');
 
+// Type descriptors for TypedMap (and for validating plain objects).
+// A descriptor can be written as:
+//   'string', 'number', ... - a typeof check ('any' matches anything)
+//   Date, Map, MyClass      - an instanceof check
+//   { name: 'string' }      - an object shape
+//   Types.arrayOf(T), Types.oneOf(A, B), Types.optional(T),
+//   Types.predicate(fn, name)
+class TypeDescriptor {
+  // check(value, path) returns null when the value matches, or
+  // { path, expected, value } describing the first mismatch
+  constructor(name, check) {
+    this.name = name;
+    this.check = check;
+  }
+
+  toString() {
+    return this.name;
+  }
+}
+
+// Structured error: tells you where the bad value is, not just what it is
+class SchemaTypeError extends TypeError {
+  constructor(path, expected, actual) {
+    super(`Invalid value at ${path}: expected ${expected}, got ${actual}`);
+    this.name = 'SchemaTypeError';
+    this.path = path;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+const Types = {
+  describe(spec) {
+    if (spec instanceof TypeDescriptor) return spec;
+    if (typeof spec === 'string') return Types._typeOf(spec);
+    if (typeof spec === 'function') {
+      // Wrapper constructors mean the primitive type: Number -> 'number'
+      let primitive = [String, Number, Boolean, BigInt, Symbol].includes(spec);
+      if (primitive) return Types._typeOf(spec.name.toLowerCase());
+      return new TypeDescriptor(spec.name, (value, path) =>
+        value instanceof spec ? null : { path, expected: spec.name, value }
+      );
+    }
+    if (spec !== null && typeof spec === 'object') return Types.shape(spec);
+    throw new TypeError(`Invalid type descriptor: ${String(spec)}`);
+  },
+
+  predicate(fn, name = fn.name || 'predicate') {
+    return new TypeDescriptor(name, (value, path) =>
+      fn(value) ? null : { path, expected: name, value }
+    );
+  },
+
+  arrayOf(spec) {
+    let element = Types.describe(spec);
+    return new TypeDescriptor(`${element.name}[]`, (value, path) => {
+      if (!Array.isArray(value)) return { path, expected: 'array', value };
+      for (let i = 0; i < value.length; i++) {
+        let issue = element.check(value[i], `${path}[${i}]`);
+        if (issue) return issue;
+      }
+      return null;
+    });
+  },
+
+  oneOf(...specs) {
+    let options = specs.map((spec) => Types.describe(spec));
+    let name = options.map((option) => option.name).join(' | ');
+    return new TypeDescriptor(name, (value, path) =>
+      options.some((option) => option.check(value, path) === null)
+        ? null
+        : { path, expected: name, value }
+    );
+  },
+
+  optional(spec) {
+    let inner = Types.describe(spec);
+    return new TypeDescriptor(`${inner.name}?`, (value, path) =>
+      value === undefined || value === null ? null : inner.check(value, path)
+    );
+  },
+
+  shape(fields) {
+    let described = Object.entries(fields).map(([key, spec]) => [
+      key,
+      Types.describe(spec),
+    ]);
+    let name = `{ ${described.map(([k, d]) => `${k}: ${d.name}`).join(', ')} }`;
+    return new TypeDescriptor(name, (value, path) => {
+      if (value === null || typeof value !== 'object') {
+        return { path, expected: 'object', value };
+      }
+      for (let [key, descriptor] of described) {
+        let issue = descriptor.check(value[key], `${path}.${key}`);
+        if (issue) return issue;
+      }
+      return null;
+    });
+  },
+
+  // Throws a SchemaTypeError for the first mismatch, else returns value
+  validate(spec, value, path = '$') {
+    let issue = Types.describe(spec).check(value, path);
+    if (issue) {
+      throw new SchemaTypeError(
+        issue.path,
+        issue.expected,
+        Types._typeName(issue.value)
+      );
+    }
+    return value;
+  },
+
+  isValid(spec, value) {
+    return Types.describe(spec).check(value, '$') === null;
+  },
+
+  _typeOf(type) {
+    if (type === 'any') return new TypeDescriptor('any', () => null);
+    return new TypeDescriptor(type, (value, path) =>
+      (type === 'null' ? value === null : typeof value === type)
+        ? null
+        : { path, expected: type, value }
+    );
+  },
+
+  _typeName(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'object') return value.constructor?.name ?? 'object';
+    return typeof value;
+  },
+};
+
 class TypedMap extends Map {
   constructor(keyType, valueType, entries) {
+    keyType = keyType ? Types.describe(keyType) : null;
+    valueType = valueType ? Types.describe(valueType) : null;
+
     // Type-check initial entries
     if (entries) {
+      entries = [...entries];
       for (let [k, v] of entries) {
-        if (typeof k !== keyType || typeof v !== valueType) {
-          throw new TypeError(`Wrong type for entry [${k}, ${v}]`);
-        }
+        TypedMap._check(keyType, valueType, k, v);
       }
     }
 
@@ -100,22 +237,24 @@ class TypedMap extends Map {
     // Initialize subclass state
     this.keyType = keyType;
     this.valueType = valueType;
-    console.log(`Created TypedMap<${keyType}, ${valueType}>`);
+    console.log(
+      `Created TypedMap<${keyType?.name ?? 'any'}, ${valueType?.name ?? 'any'}>`
+    );
   }
 
   // Override set() method
   set(key, value) {
     // Type checking
-    if (this.keyType && typeof key !== this.keyType) {
-      throw new TypeError(`${key} is not of type ${this.keyType}`);
-    }
-    if (this.valueType && typeof value !== this.valueType) {
-      throw new TypeError(`${value} is not of type ${this.valueType}`);
-    }
+    TypedMap._check(this.keyType, this.valueType, key, value);
 
     // Call superclass method
     return super.set(key, value);
   }
+
+  static _check(keyType, valueType, key, value) {
+    if (keyType) Types.validate(keyType, key, 'key');
+    if (valueType) Types.validate(valueType, value, `[${String(key)}]`);
+  }
 }
 
 console.log('Testing TypedMap:');
@@ -137,6 +276,60 @@ try {
   console.log('Error caught:', e.message);
 }
 
+// Composite descriptors
+console.log('\nTypedMap with composite descriptors:');
+const Email = Types.predicate(
+  (s) => typeof s === 'string' && s.includes('@'),
+  'email'
+);
+const UserShape = {
+  name: 'string',
+  email: Email,
+  joined: Date,
+  tags: Types.arrayOf('string'),
+  age: Types.optional('number'),
+  role: Types.oneOf(
+    Types.predicate((r) => r === 'admin', "'admin'"),
+    Types.predicate((r) => r === 'member', "'member'")
+  ),
+};
+
+let users = new TypedMap(Types.oneOf('string', 'number'), UserShape);
+users.set('alice', {
+  name: 'Alice',
+  email: 'alice@example.com',
+  joined: new Date(2024, 0, 1),
+  tags: ['beta'],
+  role: 'admin',
+});
+console.log('users.size:', users.size);
+
+try {
+  users.set('bob', {
+    name: 'Bob',
+    email: 'bob@example.com',
+    joined: new Date(),
+    tags: ['beta', 42],
+    role: 'member',
+  });
+} catch (e) {
+  console.log('Error caught:', e.message);
+  console.log('  path:', e.path, '| expected:', e.expected, '| got:', e.actual);
+  console.log('  instanceof TypeError?', e instanceof TypeError);
+}
+
+// The same descriptors validate plain objects outside the map
+console.log('\nValidating plain objects:');
+console.log(
+  "isValid(UserShape, { name: 'Eve' }):",
+  Types.isValid(UserShape, { name: 'Eve' })
+);
+try {
+  Types.validate(UserShape, { name: 'Eve', email: 'nope' }, 'user');
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
 console.log('\n=== 4. CONSTRUCTOR RULES ===\n');
 
 // Rule 1: Must call super() before using this
@@ -229,13 +422,72 @@ console.log(dog.describe());
 console.log('\n=== 6. COMPOSITION OVER INHERITANCE ===\n');
 
 // Instead of extending Set, use delegation
+// Without options, every distinct key gets its own count. With a bins
+// option, numbers are grouped into bins keyed by their lower edge:
+//   { width: 10, origin: 0 }  - fixed-width bins [0, 10), [10, 20), ...
+//   { logBase: 2 }            - log-scale bins [1, 2), [2, 4), [4, 8), ...
+//   { edges: [0, 50, 200] }   - explicit bins, plus (-∞, 0) and [200, ∞)
 class Histogram {
-  constructor() {
+  constructor({ bins } = {}) {
     this.map = new Map(); // Delegate to Map
+    this.bins = bins ?? null;
+    this.total = 0;
+
+    if (bins?.logBase !== undefined && !(bins.logBase > 1)) {
+      throw new RangeError('logBase must be greater than 1');
+    }
+    if (bins?.width !== undefined && !(bins.width > 0)) {
+      throw new RangeError('width must be positive');
+    }
+  }
+
+  // Map a sample to the key of its bin. O(1) for discrete, fixed-width
+  // and log bins; explicit edges cost a binary search over the edges.
+  binOf(x) {
+    let bins = this.bins;
+    if (!bins) return x;
+    if (typeof x !== 'number' || Number.isNaN(x)) {
+      throw new TypeError(`Cannot bin non-numeric sample: ${x}`);
+    }
+
+    if (bins.width !== undefined) {
+      let origin = bins.origin ?? 0;
+      return origin + Math.floor((x - origin) / bins.width) * bins.width;
+    }
+    if (bins.logBase !== undefined) {
+      if (x <= 0) throw new RangeError(`Log bins need positive samples: ${x}`);
+      // Round to avoid 1000 landing in the [100, 1000) bin
+      let exponent = Math.floor(
+        Number((Math.log(x) / Math.log(bins.logBase)).toFixed(10))
+      );
+      return bins.logBase ** exponent;
+    }
+
+    let edges = bins.edges;
+    if (x < edges[0]) return -Infinity;
+    let lo = 0;
+    let hi = edges.length - 1;
+    while (lo < hi) {
+      let mid = (lo + hi + 1) >> 1;
+      if (edges[mid] <= x) lo = mid;
+      else hi = mid - 1;
+    }
+    return edges[lo];
+  }
+
+  // Upper edge of the bin whose key (lower edge) is given
+  upperEdge(key) {
+    let bins = this.bins;
+    if (!bins) return key;
+    if (bins.width !== undefined) return key + bins.width;
+    if (bins.logBase !== undefined) return key * bins.logBase;
+    if (key === -Infinity) return bins.edges[0];
+    let index = bins.edges.indexOf(key);
+    return index + 1 < bins.edges.length ? bins.edges[index + 1] : Infinity;
   }
 
   count(key) {
-    return this.map.get(key) || 0;
+    return this.map.get(this.binOf(key)) || 0;
   }
 
   has(key) {
@@ -247,16 +499,110 @@ class Histogram {
   }
 
   add(key) {
-    this.map.set(key, this.count(key) + 1);
+    let bin = this.binOf(key);
+    this.map.set(bin, (this.map.get(bin) || 0) + 1);
+    this.total++;
   }
 
   delete(key) {
-    let count = this.count(key);
+    let bin = this.binOf(key);
+    let count = this.map.get(bin) || 0;
     if (count === 1) {
-      this.map.delete(key);
+      this.map.delete(bin);
     } else if (count > 1) {
-      this.map.set(key, count - 1);
+      this.map.set(bin, count - 1);
+    }
+    if (count > 0) this.total--;
+  }
+
+  // Most frequent key (or bin lower edge)
+  mode() {
+    let best;
+    let bestCount = 0;
+    for (let [key, count] of this.map) {
+      if (count > bestCount) {
+        best = key;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  // p is 0..100. Discrete histograms return the nearest-rank key;
+  // binned histograms interpolate linearly inside the matching bin.
+  percentile(p) {
+    if (!(p >= 0 && p <= 100)) throw new RangeError(`Invalid percentile: ${p}`);
+    if (this.total === 0) return undefined;
+
+    let keys = [...this.map.keys()];
+    if (keys.some((key) => typeof key !== 'number')) {
+      throw new TypeError('percentile() needs numeric keys');
+    }
+    keys.sort((a, b) => a - b);
+
+    let rank = (p / 100) * this.total;
+    let seen = 0;
+    for (let key of keys) {
+      let count = this.map.get(key);
+      if (seen + count >= rank) {
+        if (!this.bins) return key;
+        let lower = key === -Infinity ? this.upperEdge(key) : key;
+        let upper = this.upperEdge(key);
+        if (!Number.isFinite(upper)) return lower;
+        return lower + ((rank - seen) / count) * (upper - lower);
+      }
+      seen += count;
+    }
+    return keys[keys.length - 1];
+  }
+
+  // Add another histogram's counts to this one; bins must match
+  mergeWith(other) {
+    if (JSON.stringify(this.bins) !== JSON.stringify(other.bins)) {
+      throw new TypeError('Cannot merge histograms with different bins');
+    }
+    for (let [key, count] of other.map) {
+      this.map.set(key, (this.map.get(key) || 0) + count);
+    }
+    this.total += other.total;
+    return this;
+  }
+
+  // Label for a key: the key itself, or the bin's [lower, upper) range
+  label(key) {
+    if (!this.bins) return String(key);
+    let upper = this.upperEdge(key);
+    return `[${key === -Infinity ? '-∞' : key}, ${upper === Infinity ? '∞' : upper})`;
+  }
+
+  // Horizontal bar chart as a string. sort: 'key' (default) or 'count'.
+  // Unicode block characters give 1/8-character resolution; pass
+  // ascii: true for plain '#' bars.
+  render({ width = 40, sort = 'key', ascii = false } = {}) {
+    let entries = [...this.map];
+    if (sort === 'count') {
+      entries.sort((a, b) => b[1] - a[1]);
+    } else if (entries.every(([key]) => typeof key === 'number')) {
+      entries.sort((a, b) => a[0] - b[0]);
+    } else {
+      entries.sort((a, b) => String(a[0]).localeCompare(String(b[0])));
     }
+
+    let max = Math.max(0, ...entries.map(([, count]) => count));
+    let labels = entries.map(([key]) => this.label(key));
+    let labelWidth = Math.max(0, ...labels.map((label) => label.length));
+    const partials = ['', '▏', '▎', '▍', '▌', '▋', '▊', '▉'];
+
+    return entries
+      .map(([, count], i) => {
+        let length = max === 0 ? 0 : (count / max) * width;
+        let bar = ascii
+          ? '#'.repeat(Math.round(length))
+          : '█'.repeat(Math.floor(length)) +
+            partials[Math.floor((length % 1) * 8)];
+        return `${labels[i].padStart(labelWidth)} │${bar} ${count}`;
+      })
+      .join('\n');
   }
 
   [Symbol.iterator]() {
@@ -293,6 +639,48 @@ console.log('Entries:', Array.from(hist.entries()));
 hist.delete('apple');
 console.log("After delete, count of 'apple':", hist.count('apple'));
 
+// Binned histograms for numeric samples
+console.log('\nBinned histogram of latency samples (ms):');
+
+// Small seeded generator so the demo prints the same chart every run
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+let latencies = Array.from({ length: 1000 }, () =>
+  Math.round(20 + 30 * -Math.log(1 - random()))
+);
+
+let latency = new Histogram({ bins: { width: 25 } });
+for (let ms of latencies.slice(0, 500)) latency.add(ms);
+
+// Merge in samples collected elsewhere (e.g. another server)
+let other = new Histogram({ bins: { width: 25 } });
+for (let ms of latencies.slice(500)) other.add(ms);
+latency.mergeWith(other);
+
+console.log(latency.render({ width: 30 }));
+console.log('Samples:', latency.total);
+console.log('Mode bin:', latency.label(latency.mode()));
+console.log('p50:', latency.percentile(50).toFixed(1));
+console.log('p95:', latency.percentile(95).toFixed(1));
+console.log('p99:', latency.percentile(99).toFixed(1));
+
+console.log('\nLog-scale bins (base 2):');
+let logHist = new Histogram({ bins: { logBase: 2 } });
+for (let ms of latencies) logHist.add(ms);
+console.log(logHist.render({ width: 30, sort: 'count' }));
+
+console.log('\nExplicit SLO buckets (ASCII):');
+let slo = new Histogram({ bins: { edges: [0, 50, 100, 200] } });
+for (let ms of latencies) slo.add(ms);
+console.log(slo.render({ width: 30, ascii: true }));
+console.log('Samples under 100ms:', slo.count(0) + slo.count(50));
+
+console.log('\nDiscrete histogram:');
+console.log(hist.render({ width: 10, sort: 'count' }));
+
 console.log('\n=== 7. ABSTRACT CLASSES ===\n');
 
 // Base abstract class
@@ -376,6 +764,54 @@ class AbstractEnumerableSet extends AbstractSet {
 
     return true;
   }
+
+  // keys() completes the "set-like" protocol used by the ES2025 Set
+  // methods: anything with size, has() and keys() can be passed to
+  // Set.prototype.union(), isSubsetOf(), etc.
+  keys() {
+    return this[Symbol.iterator]();
+  }
+
+  values() {
+    return this[Symbol.iterator]();
+  }
+
+  // The comparison methods accept any set-like argument, so they work
+  // with our sets and with native Sets alike
+  isSubsetOf(other) {
+    if (this.size > other.size) return false;
+    for (let element of this) {
+      if (!other.has(element)) return false;
+    }
+    return true;
+  }
+
+  isSupersetOf(other) {
+    if (this.size < other.size) return false;
+    for (let element of other.keys()) {
+      if (!this.has(element)) return false;
+    }
+    return true;
+  }
+
+  isDisjointFrom(other) {
+    // Iterate over the smaller set, probe the larger one
+    if (this.size <= other.size) {
+      for (let element of this) {
+        if (other.has(element)) return false;
+      }
+    } else {
+      for (let element of other.keys()) {
+        if (this.has(element)) return false;
+      }
+    }
+    return true;
+  }
+
+  // Bridge to code that expects a real Set
+  toNativeSet() {
+    return new Set(this);
+  }
 }
 
 // Singleton set
@@ -427,58 +863,107 @@ class AbstractWritableSet extends AbstractEnumerableSet {
       }
     }
   }
+
+  // Keep elements that are in exactly one of the two sets
+  symmetricDifference(set) {
+    // Snapshot first: set may be this set itself
+    for (let element of [...set]) {
+      if (this.has(element)) {
+        this.remove(element);
+      } else {
+        this.insert(element);
+      }
+    }
+  }
+
+  // Build a new set of the calling subclass from any iterable
+  // (arrays, native Sets, other AbstractEnumerableSets...)
+  static fromIterable(iterable, ...args) {
+    let set = new this(...args);
+    set.add(iterable);
+    return set;
+  }
 }
 
 // Concrete BitSet
+// Bits are packed 32 per word in a Uint32Array. The array grows on
+// demand, so `max` is only the initial capacity; BitSet.MAX_VALUE is the
+// hard limit. Memory follows the largest element, not the element count,
+// so sparse sets over a wide range belong in an IntervalSet instead.
 class BitSet extends AbstractWritableSet {
-  constructor(max) {
+  constructor(max = 31) {
     super();
-    this.max = max;
+    BitSet._check(max);
     this.n = 0;
-    this.numBytes = Math.floor(max / 8) + 1;
-    this.data = new Uint8Array(this.numBytes);
+    this.words = new Uint32Array((max >>> 5) + 1);
+  }
+
+  // Largest element that fits without growing
+  get max() {
+    return this.words.length * 32 - 1;
   }
 
   _valid(x) {
-    return Number.isInteger(x) && x >= 0 && x <= this.max;
+    return Number.isInteger(x) && x >= 0 && x <= BitSet.MAX_VALUE;
+  }
+
+  // TypeError for things that can't be elements, RangeError for
+  // integers past the cap
+  static _check(x) {
+    if (!Number.isInteger(x) || x < 0) {
+      throw new TypeError('Invalid set element: ' + x);
+    }
+    if (x > BitSet.MAX_VALUE) {
+      throw new RangeError(`BitSet element ${x} is above ${BitSet.MAX_VALUE}`);
+    }
   }
 
-  _has(byte, bit) {
-    return (this.data[byte] & BitSet.bits[bit]) !== 0;
+  static _checkBitSet(method, other) {
+    if (!(other instanceof BitSet)) {
+      throw new TypeError(`BitSet.${method}() expects a BitSet`);
+    }
+  }
+
+  _has(word, bit) {
+    return (this.words[word] & (1 << bit)) !== 0;
+  }
+
+  // Make sure word index `word` exists, at least doubling each time so
+  // that a run of inserts costs amortized O(1)
+  _grow(word) {
+    if (word < this.words.length) return;
+    let length = Math.max(word + 1, this.words.length * 2);
+    let words = new Uint32Array(length);
+    words.set(this.words);
+    this.words = words;
   }
 
   has(x) {
-    if (this._valid(x)) {
-      let byte = Math.floor(x / 8);
-      let bit = x % 8;
-      return this._has(byte, bit);
+    if (this._valid(x) && x <= this.max) {
+      return this._has(x >>> 5, x & 31);
     }
     return false;
   }
 
   insert(x) {
-    if (this._valid(x)) {
-      let byte = Math.floor(x / 8);
-      let bit = x % 8;
-      if (!this._has(byte, bit)) {
-        this.data[byte] |= BitSet.bits[bit];
-        this.n++;
-      }
-    } else {
-      throw new TypeError('Invalid set element: ' + x);
+    BitSet._check(x);
+    let word = x >>> 5;
+    let bit = x & 31;
+    this._grow(word);
+    if (!this._has(word, bit)) {
+      this.words[word] |= 1 << bit;
+      this.n++;
     }
   }
 
   remove(x) {
-    if (this._valid(x)) {
-      let byte = Math.floor(x / 8);
-      let bit = x % 8;
-      if (this._has(byte, bit)) {
-        this.data[byte] &= BitSet.masks[bit];
-        this.n--;
-      }
-    } else {
-      throw new TypeError('Invalid set element: ' + x);
+    BitSet._check(x);
+    if (x > this.max) return;
+    let word = x >>> 5;
+    let bit = x & 31;
+    if (this._has(word, bit)) {
+      this.words[word] &= ~(1 << bit);
+      this.n--;
     }
   }
 
@@ -486,17 +971,429 @@ class BitSet extends AbstractWritableSet {
     return this.n;
   }
 
+  // Count set bits a word at a time instead of trusting this.n
+  cardinality() {
+    let count = 0;
+    for (let word of this.words) {
+      count += BitSet.popcount(word);
+    }
+    return count;
+  }
+
+  // Word-level operations: 32 elements per step. They modify this set
+  // in place and return it so calls can be chained.
+  and(other) {
+    BitSet._checkBitSet('and', other);
+    for (let i = 0; i < this.words.length; i++) {
+      this.words[i] &= i < other.words.length ? other.words[i] : 0;
+    }
+    this.n = this.cardinality();
+    return this;
+  }
+
+  or(other) {
+    BitSet._checkBitSet('or', other);
+    this._grow(other.words.length - 1);
+    for (let i = 0; i < other.words.length; i++) {
+      this.words[i] |= other.words[i];
+    }
+    this.n = this.cardinality();
+    return this;
+  }
+
+  xor(other) {
+    BitSet._checkBitSet('xor', other);
+    this._grow(other.words.length - 1);
+    for (let i = 0; i < other.words.length; i++) {
+      this.words[i] ^= other.words[i];
+    }
+    this.n = this.cardinality();
+    return this;
+  }
+
+  andNot(other) {
+    BitSet._checkBitSet('andNot', other);
+    let length = Math.min(this.words.length, other.words.length);
+    for (let i = 0; i < length; i++) {
+      this.words[i] &= ~other.words[i];
+    }
+    this.n = this.cardinality();
+    return this;
+  }
+
+  // Use the fast paths when both operands are BitSets
+  add(set) {
+    if (set instanceof BitSet) this.or(set);
+    else super.add(set);
+  }
+
+  subtract(set) {
+    if (set instanceof BitSet) this.andNot(set);
+    else super.subtract(set);
+  }
+
+  intersect(set) {
+    if (set instanceof BitSet) this.and(set);
+    else super.intersect(set);
+  }
+
+  symmetricDifference(set) {
+    if (set instanceof BitSet) this.xor(set);
+    else super.symmetricDifference(set);
+  }
+
   *[Symbol.iterator]() {
-    for (let i = 0; i <= this.max; i++) {
-      if (this.has(i)) {
-        yield i;
+    for (let i = 0; i < this.words.length; i++) {
+      let word = this.words[i];
+      // Skip empty words, then peel off the lowest set bit each time
+      while (word !== 0) {
+        let lowest = word & -word;
+        yield i * 32 + 31 - Math.clz32(lowest);
+        word ^= lowest;
       }
     }
   }
+
+  // Run-length encoding: a version byte followed by pairs of varints
+  // (gap since the end of the previous run, length of this run).
+  // A set of one million consecutive elements takes a handful of bytes.
+  toBuffer() {
+    let bytes = [BitSet.FORMAT_VERSION];
+    let start = -1;
+    let previous = -1;
+    let end = 0; // One past the end of the last run written
+    for (let x of this) {
+      if (x !== previous + 1 || start === -1) {
+        if (start !== -1) {
+          BitSet._writeVarint(bytes, start - end);
+          BitSet._writeVarint(bytes, previous - start + 1);
+          end = previous + 1;
+        }
+        start = x;
+      }
+      previous = x;
+    }
+    if (start !== -1) {
+      BitSet._writeVarint(bytes, start - end);
+      BitSet._writeVarint(bytes, previous - start + 1);
+    }
+    return Uint8Array.from(bytes);
+  }
+
+  // Accepts a Uint8Array (including a Node Buffer) or an ArrayBuffer
+  static fromBuffer(buffer) {
+    let bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (bytes[0] !== BitSet.FORMAT_VERSION) {
+      throw new TypeError('Unsupported BitSet format: ' + bytes[0]);
+    }
+
+    let set = new BitSet();
+    let position = { offset: 1 };
+    let end = 0;
+    while (position.offset < bytes.length) {
+      let start = end + BitSet._readVarint(bytes, position);
+      if (position.offset >= bytes.length) {
+        throw new RangeError('Truncated BitSet buffer');
+      }
+      end = start + BitSet._readVarint(bytes, position);
+      set._fill(start, end);
+    }
+    return set;
+  }
+
+  // Set every bit in [from, to), whole words at a time where possible
+  _fill(from, to) {
+    if (to <= from) return;
+    BitSet._check(to - 1);
+    this._grow((to - 1) >>> 5);
+    let x = from;
+    while (x < to) {
+      if ((x & 31) === 0 && x + 32 <= to) {
+        this.n += 32 - BitSet.popcount(this.words[x >>> 5]);
+        this.words[x >>> 5] = 0xffffffff;
+        x += 32;
+      } else {
+        this.insert(x);
+        x++;
+      }
+    }
+  }
+
+  static popcount(word) {
+    word = word - ((word >>> 1) & 0x55555555);
+    word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+    return Math.imul((word + (word >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+  }
+
+  // LEB128-style unsigned varints: 7 bits per byte, high bit = "more"
+  static _writeVarint(bytes, value) {
+    while (value >= 0x80) {
+      bytes.push((value & 0x7f) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+  }
+
+  static _readVarint(bytes, position) {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      if (position.offset >= bytes.length) {
+        throw new RangeError('Truncated BitSet buffer');
+      }
+      byte = bytes[position.offset++];
+      value += (byte & 0x7f) * scale;
+      scale *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
 }
 
-BitSet.bits = new Uint8Array([1, 2, 4, 8, 16, 32, 64, 128]);
-BitSet.masks = new Uint8Array([~1, ~2, ~4, ~8, ~16, ~32, ~64, ~128]);
+BitSet.MAX_VALUE = 2 ** 24 - 1; // Caps the word array at 2 MB
+BitSet.FORMAT_VERSION = 1;
+
+// Concrete IntervalSet
+// A set of integers stored as sorted, disjoint RangeSets. Overlapping or
+// adjacent intervals are merged on insert, so {1..5} plus {6..9} is kept
+// as the single interval {1..9}. Lookups binary-search the intervals.
+//
+// Only integers: "adjacent" means to + 1 === from, which has no meaning
+// for real numbers. Store times as whole minutes or seconds. Non-integer
+// bounds throw a TypeError, and has() of a non-integer is always false.
+class IntervalSet extends AbstractWritableSet {
+  constructor(intervals = []) {
+    super();
+    this.ranges = [];
+    for (let interval of intervals) {
+      if (Array.isArray(interval)) {
+        this.insertRange(interval[0], interval[1]);
+      } else {
+        this.insertRange(interval.from, interval.to);
+      }
+    }
+  }
+
+  // Index of the first interval whose `to` is >= x
+  _search(x) {
+    let lo = 0;
+    let hi = this.ranges.length;
+    while (lo < hi) {
+      let mid = (lo + hi) >>> 1;
+      if (this.ranges[mid].to < x) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  _check(from, to) {
+    if (!Number.isSafeInteger(from) || !Number.isSafeInteger(to)) {
+      throw new TypeError(
+        `IntervalSet bounds must be integers: ${from}, ${to}`
+      );
+    }
+    if (from > to) {
+      throw new RangeError(`Empty interval: ${from} > ${to}`);
+    }
+  }
+
+  has(x) {
+    if (!Number.isInteger(x)) return false;
+    let i = this._search(x);
+    return i < this.ranges.length && this.ranges[i].from <= x;
+  }
+
+  insert(x) {
+    this.insertRange(x, x);
+  }
+
+  remove(x) {
+    if (this.has(x)) this.removeRange(x, x);
+  }
+
+  // Add every integer in [from, to], merging with neighbours
+  insertRange(from, to) {
+    this._check(from, to);
+    let start = this._search(from - 1);
+    let end = start;
+    while (end < this.ranges.length && this.ranges[end].from <= to + 1) {
+      end++;
+    }
+    if (start < end) {
+      from = Math.min(from, this.ranges[start].from);
+      to = Math.max(to, this.ranges[end - 1].to);
+    }
+    this.ranges.splice(start, end - start, new RangeSet(from, to));
+    return this;
+  }
+
+  // Drop every integer in [from, to], splitting intervals that straddle it
+  removeRange(from, to) {
+    this._check(from, to);
+    let start = this._search(from);
+    let end = start;
+    while (end < this.ranges.length && this.ranges[end].from <= to) {
+      end++;
+    }
+    if (start === end) return this;
+
+    let pieces = [];
+    let first = this.ranges[start];
+    let last = this.ranges[end - 1];
+    if (first.from < from) pieces.push(new RangeSet(first.from, from - 1));
+    if (last.to > to) pieces.push(new RangeSet(to + 1, last.to));
+    this.ranges.splice(start, end - start, ...pieces);
+    return this;
+  }
+
+  get size() {
+    let total = 0;
+    for (let range of this.ranges) {
+      total += range.to - range.from + 1;
+    }
+    return total;
+  }
+
+  // Elements in ascending order. The interval list is copied first so
+  // the set can be modified while it is being iterated.
+  *[Symbol.iterator]() {
+    for (let range of this.ranges.slice()) {
+      for (let x = range.from; x <= range.to; x++) {
+        yield x;
+      }
+    }
+  }
+
+  // The intervals themselves, in ascending order
+  *intervals() {
+    for (let range of this.ranges.slice()) {
+      yield new RangeSet(range.from, range.to);
+    }
+  }
+
+  // The holes inside `within` (defaults to the span of this set)
+  gaps(within) {
+    if (within === undefined) {
+      if (this.ranges.length === 0) return new IntervalSet();
+      within = new RangeSet(
+        this.ranges[0].from,
+        this.ranges[this.ranges.length - 1].to
+      );
+    }
+    return new IntervalSet([within]).subtract(this);
+  }
+
+  // In-place operations work interval by interval when given another
+  // IntervalSet, and fall back to element-wise for other sets
+  add(set) {
+    if (!(set instanceof IntervalSet)) {
+      super.add(set);
+      return this;
+    }
+    for (let range of set.ranges.slice()) {
+      this.insertRange(range.from, range.to);
+    }
+    return this;
+  }
+
+  subtract(set) {
+    if (!(set instanceof IntervalSet)) {
+      super.subtract(set);
+      return this;
+    }
+    for (let range of set.ranges.slice()) {
+      this.removeRange(range.from, range.to);
+    }
+    return this;
+  }
+
+  intersect(set) {
+    if (!(set instanceof IntervalSet)) {
+      // Visit whichever side is smaller: the other set's elements, or
+      // this set's intervals run by run, never expanding both
+      let kept = new IntervalSet();
+      if (set.size < this.size) {
+        for (let x of set) if (this.has(x)) kept.insert(x);
+      } else {
+        for (let range of this.ranges) {
+          let start = null;
+          for (let x = range.from; x <= range.to + 1; x++) {
+            let inside = x <= range.to && set.has(x);
+            if (inside && start === null) start = x;
+            if (!inside && start !== null) {
+              kept.ranges.push(new RangeSet(start, x - 1));
+              start = null;
+            }
+          }
+        }
+      }
+      this.ranges = kept.ranges;
+      return this;
+    }
+
+    // Walk both sorted lists at once
+    let result = [];
+    let i = 0;
+    let j = 0;
+    while (i < this.ranges.length && j < set.ranges.length) {
+      let a = this.ranges[i];
+      let b = set.ranges[j];
+      let from = Math.max(a.from, b.from);
+      let to = Math.min(a.to, b.to);
+      if (from <= to) result.push(new RangeSet(from, to));
+      if (a.to < b.to) i++;
+      else j++;
+    }
+    this.ranges = result;
+    return this;
+  }
+
+  symmetricDifference(set) {
+    if (!(set instanceof IntervalSet)) {
+      super.symmetricDifference(set);
+      return this;
+    }
+    let both = this.intersection(set);
+    return this.add(set).subtract(both);
+  }
+
+  // Non-mutating versions return a new IntervalSet
+  clone() {
+    return new IntervalSet(this.ranges);
+  }
+
+  union(set) {
+    return this.clone().add(set);
+  }
+
+  intersection(set) {
+    return this.clone().intersect(set);
+  }
+
+  difference(set) {
+    return this.clone().subtract(set);
+  }
+
+  // Compare interval lists directly instead of element by element
+  equals(set) {
+    if (!(set instanceof IntervalSet)) return super.equals(set);
+    return (
+      this.ranges.length === set.ranges.length &&
+      this.ranges.every(
+        (range, i) =>
+          range.from === set.ranges[i].from && range.to === set.ranges[i].to
+      )
+    );
+  }
+
+  // {1..5, 8, 10..12} rather than listing every element
+  toString() {
+    let parts = this.ranges.map((range) =>
+      range.from === range.to ? `${range.from}` : `${range.from}..${range.to}`
+    );
+    return `{${parts.join(', ')}}`;
+  }
+}
 
 console.log('Testing class hierarchy:');
 
@@ -542,6 +1439,144 @@ bitset3.insert(100);
 console.log('\nBitSet3:', bitset3.toString());
 console.log('bitset.equals(bitset3)?', bitset.equals(bitset3));
 
+// Iteration and comparisons
+console.log('\nIteration and comparisons:');
+console.log('Spread of bitset2:', [...bitset2]);
+console.log('Spread of singleton:', [...singleton]);
+console.log('bitset2.isSubsetOf(bitset)?', bitset2.isSubsetOf(bitset));
+console.log('bitset.isSupersetOf(bitset2)?', bitset.isSupersetOf(bitset2));
+console.log(
+  'singleton.isDisjointFrom(bitset)?',
+  singleton.isDisjointFrom(bitset)
+);
+
+// Symmetric difference
+let bitset4 = BitSet.fromIterable([1, 2, 3], 100);
+bitset4.symmetricDifference(BitSet.fromIterable([3, 4], 100));
+console.log('\n{1, 2, 3} symmetric difference {3, 4}:', bitset4.toString());
+
+// Interoperating with native Sets
+let native = bitset.toNativeSet();
+console.log('\ntoNativeSet():', native);
+console.log(
+  'BitSet from native Set:',
+  BitSet.fromIterable(native, 100).toString()
+);
+console.log(
+  'bitset2.isSubsetOf(native Set)?',
+  bitset2.isSubsetOf(new Set([50, 75, 99]))
+);
+if (typeof Set.prototype.union === 'function') {
+  // ES2025 Set methods accept our sets because they are "set-like"
+  console.log('new Set([7]).union(bitset2):', new Set([7]).union(bitset2));
+}
+
+// Growing past the initial capacity
+let growable = new BitSet(10);
+console.log('\nInitial max:', growable.max);
+growable.insert(5);
+growable.insert(1000);
+console.log('After insert(1000):', growable.toString());
+console.log('Max grew to:', growable.max);
+
+// Word-level operations
+let evens = BitSet.fromIterable([0, 2, 4, 6, 8]);
+let small = BitSet.fromIterable([0, 1, 2, 3, 4]);
+console.log('\nevens:', evens.toString(), 'small:', small.toString());
+console.log('and:', BitSet.fromIterable(evens).and(small).toString());
+console.log('or:', BitSet.fromIterable(evens).or(small).toString());
+console.log('xor:', BitSet.fromIterable(evens).xor(small).toString());
+console.log('andNot:', BitSet.fromIterable(evens).andNot(small).toString());
+console.log('cardinality():', evens.cardinality());
+
+for (let attempt of [
+  () => evens.and([0, 2]), // The word-level operations need a BitSet
+  () => evens.insert(2 ** 32 - 1), // Would need a 512 MB word array
+]) {
+  try {
+    attempt();
+  } catch (e) {
+    console.log(`${e.name}: ${e.message}`);
+  }
+}
+
+// Compact run-length serialization
+let members = new BitSet();
+for (let i = 100000; i < 1100000; i++) members.insert(i);
+members.insert(5);
+members.insert(2000000);
+
+let buffer = members.toBuffer();
+let restored = BitSet.fromBuffer(buffer);
+console.log('\nMembers:', members.size);
+console.log('Uint32Array bytes:', members.words.byteLength);
+console.log('toBuffer() bytes:', buffer.length);
+console.log('Restored size:', restored.size);
+console.log('Restored equals original?', restored.equals(members));
+
+try {
+  BitSet.fromBuffer(buffer.slice(0, buffer.length - 1));
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
+// IntervalSet
+let booked = new IntervalSet([
+  [900, 930],
+  [1000, 1100],
+]);
+booked.insertRange(925, 945); // Overlaps 900..930
+booked.insertRange(946, 959); // Adjacent to the merged interval
+console.log('\nBooked minutes:', booked.toString());
+console.log('Has 1030?', booked.has(1030), 'Has 1200?', booked.has(1200));
+console.log(
+  'Free within 800..1200:',
+  booked.gaps(new RangeSet(800, 1200)).toString()
+);
+
+booked.removeRange(1015, 1044); // Splits 1000..1100
+console.log('After removeRange(1015, 1044):', booked.toString());
+console.log('Size:', booked.size);
+
+let morning = new IntervalSet([[800, 1000]]);
+console.log('union:', booked.union(morning).toString());
+console.log('intersection:', booked.intersection(morning).toString());
+console.log('difference:', booked.difference(morning).toString());
+
+// IP ranges as 32-bit integers
+let ip = (text) =>
+  text.split('.').reduce((n, octet) => n * 256 + Number(octet), 0);
+let blocked = new IntervalSet([
+  [ip('10.0.0.0'), ip('10.255.255.255')],
+  [ip('192.168.0.0'), ip('192.168.255.255')],
+]);
+console.log('\nBlocked addresses:', blocked.size);
+console.log('10.1.2.3 blocked?', blocked.has(ip('10.1.2.3')));
+console.log('8.8.8.8 blocked?', blocked.has(ip('8.8.8.8')));
+let seen = new Set([ip('10.1.2.3'), ip('8.8.8.8'), ip('192.168.1.1')]);
+console.log(
+  'Seen addresses that are blocked:',
+  blocked.intersection(seen).size
+);
+
+// The AbstractWritableSet contract still holds
+let small1 = IntervalSet.fromIterable([3, 1, 2, 7]);
+let small2 = new IntervalSet([
+  [1, 3],
+  [7, 7],
+]);
+console.log('\nfromIterable([3, 1, 2, 7]):', small1.toString());
+console.log('Iterates in order:', [...small1]);
+console.log('Equal to {1..3, 7}?', small1.equals(small2));
+console.log(
+  'Equal to BitSet {1, 2, 3, 7}?',
+  small1.equals(BitSet.fromIterable([1, 2, 3, 7]))
+);
+console.log(
+  'Subset of {1, 2, 3, 5, 7}?',
+  small1.isSubsetOf(new Set([1, 2, 3, 5, 7]))
+);
+
 console.log('\n=== 9. PRACTICAL EXAMPLE: SHAPE HIERARCHY ===\n');
 
 class Shape {
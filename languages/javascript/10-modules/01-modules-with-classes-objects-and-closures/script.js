@@ -120,51 +120,221 @@ console.log('Math.PI:', Math.PI);
 
 console.log('\n=== 3. CLOSURE-BASED MODULARITY (HIDING DETAILS) ===\n');
 
-// Using IIFE to hide implementation details
+// Using IIFE to hide implementation details. This is the growable BitSet
+// from 09-classes/05-subclasses written as a module: the class is the only
+// export, and its helpers and limits stay private to the closure.
 const BitSetModule = (function () {
+  // PRIVATE: Constants
+  const BITS_PER_WORD = 32;
+  const MAX_VALUE = 2 ** 24 - 1; // Caps the word array at 2 MB
+  const FORMAT_VERSION = 1;
+
   // PRIVATE: Helper functions not accessible outside
-  function isValid(set, n) {
-    return Number.isInteger(n) && n >= 0 && n < set.max;
+  function isValid(n) {
+    return Number.isInteger(n) && n >= 0 && n <= MAX_VALUE;
   }
 
-  function hasBit(bits, n) {
-    let byte = Math.floor(n / 8);
-    let bit = n % 8;
-    return (bits[byte] & (1 << bit)) !== 0;
+  function checkElement(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new TypeError('Invalid set element: ' + n);
+    }
+    if (n > MAX_VALUE) {
+      throw new RangeError(`BitSet element ${n} is above ${MAX_VALUE}`);
+    }
   }
 
-  // PRIVATE: Constants
-  const BITS_PER_BYTE = 8;
+  function checkBitSet(method, other) {
+    if (!(other instanceof BitSet)) {
+      throw new TypeError(`BitSet.${method}() expects a BitSet`);
+    }
+  }
 
-  // PUBLIC: Return the class
-  return class BitSet {
-    constructor(max) {
-      this.max = max;
-      this.bits = new Uint8Array(Math.ceil(max / BITS_PER_BYTE));
+  function hasBit(words, n) {
+    return (words[n >>> 5] & (1 << (n & 31))) !== 0;
+  }
+
+  // Grow the word array (at least doubling) so index `word` exists
+  function grow(set, word) {
+    if (word < set.words.length) return;
+    let words = new Uint32Array(Math.max(word + 1, set.words.length * 2));
+    words.set(set.words);
+    set.words = words;
+  }
+
+  function popcount(word) {
+    word = word - ((word >>> 1) & 0x55555555);
+    word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+    return Math.imul((word + (word >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+  }
+
+  function recount(set) {
+    set.n = 0;
+    for (let word of set.words) set.n += popcount(word);
+  }
+
+  // LEB128-style unsigned varints: 7 bits per byte, high bit = "more"
+  function writeVarint(bytes, value) {
+    while (value >= 0x80) {
+      bytes.push((value & 0x7f) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+  }
+
+  function readVarint(bytes, position) {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      if (position.offset >= bytes.length) {
+        throw new RangeError('Truncated BitSet buffer');
+      }
+      byte = bytes[position.offset++];
+      value += (byte & 0x7f) * scale;
+      scale *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  // PUBLIC: The class
+  class BitSet {
+    constructor(max = BITS_PER_WORD - 1) {
+      checkElement(max);
+      this.n = 0;
+      this.words = new Uint32Array(Math.floor(max / BITS_PER_WORD) + 1);
+    }
+
+    // Largest element that fits without growing
+    get max() {
+      return this.words.length * BITS_PER_WORD - 1;
+    }
+
+    get size() {
+      return this.n;
     }
 
     insert(n) {
-      if (isValid(this, n)) {
-        // Uses private function
-        let byte = Math.floor(n / BITS_PER_BYTE);
-        let bit = n % BITS_PER_BYTE;
-        this.bits[byte] |= 1 << bit;
+      checkElement(n);
+      grow(this, n >>> 5); // Uses private function
+      if (!hasBit(this.words, n)) {
+        this.words[n >>> 5] |= 1 << (n & 31);
+        this.n++;
       }
     }
 
     has(n) {
-      if (!isValid(this, n)) return false;
-      return hasBit(this.bits, n); // Uses private function
+      if (!isValid(n) || n > this.max) return false;
+      return hasBit(this.words, n); // Uses private function
     }
 
     remove(n) {
-      if (isValid(this, n)) {
-        let byte = Math.floor(n / BITS_PER_BYTE);
-        let bit = n % BITS_PER_BYTE;
-        this.bits[byte] &= ~(1 << bit);
+      checkElement(n);
+      if (n <= this.max && hasBit(this.words, n)) {
+        this.words[n >>> 5] &= ~(1 << (n & 31));
+        this.n--;
       }
     }
-  };
+
+    // Word-level set operations, modifying this set in place
+    and(other) {
+      checkBitSet('and', other);
+      for (let i = 0; i < this.words.length; i++) {
+        this.words[i] &= i < other.words.length ? other.words[i] : 0;
+      }
+      recount(this);
+      return this;
+    }
+
+    or(other) {
+      checkBitSet('or', other);
+      grow(this, other.words.length - 1);
+      for (let i = 0; i < other.words.length; i++) {
+        this.words[i] |= other.words[i];
+      }
+      recount(this);
+      return this;
+    }
+
+    xor(other) {
+      checkBitSet('xor', other);
+      grow(this, other.words.length - 1);
+      for (let i = 0; i < other.words.length; i++) {
+        this.words[i] ^= other.words[i];
+      }
+      recount(this);
+      return this;
+    }
+
+    andNot(other) {
+      checkBitSet('andNot', other);
+      let length = Math.min(this.words.length, other.words.length);
+      for (let i = 0; i < length; i++) {
+        this.words[i] &= ~other.words[i];
+      }
+      recount(this);
+      return this;
+    }
+
+    *[Symbol.iterator]() {
+      for (let i = 0; i < this.words.length; i++) {
+        let word = this.words[i];
+        // Skip empty words, then peel off the lowest set bit each time
+        while (word !== 0) {
+          let lowest = word & -word;
+          yield i * BITS_PER_WORD + 31 - Math.clz32(lowest);
+          word ^= lowest;
+        }
+      }
+    }
+
+    // Run-length encoding: version byte, then (gap, run length) varints
+    toBuffer() {
+      let bytes = [FORMAT_VERSION];
+      let start = -1;
+      let previous = -1;
+      let end = 0;
+      for (let n of this) {
+        if (n !== previous + 1 || start === -1) {
+          if (start !== -1) {
+            writeVarint(bytes, start - end);
+            writeVarint(bytes, previous - start + 1);
+            end = previous + 1;
+          }
+          start = n;
+        }
+        previous = n;
+      }
+      if (start !== -1) {
+        writeVarint(bytes, start - end);
+        writeVarint(bytes, previous - start + 1);
+      }
+      return Uint8Array.from(bytes);
+    }
+
+    static fromBuffer(buffer) {
+      let bytes =
+        buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+      if (bytes[0] !== FORMAT_VERSION) {
+        throw new TypeError('Unsupported BitSet format: ' + bytes[0]);
+      }
+      let set = new BitSet();
+      let position = { offset: 1 };
+      let end = 0;
+      while (position.offset < bytes.length) {
+        let start = end + readVarint(bytes, position);
+        if (position.offset >= bytes.length) {
+          throw new RangeError('Truncated BitSet buffer');
+        }
+        end = start + readVarint(bytes, position);
+        checkElement(end - 1);
+        for (let n = start; n < end; n++) set.insert(n);
+      }
+      return set;
+    }
+  }
+
+  BitSet.MAX_VALUE = MAX_VALUE;
+  return BitSet;
 })();
 
 console.log('BitSet with private implementation:');
@@ -175,6 +345,19 @@ privateBitSet.insert(75);
 
 console.log('Has 25:', privateBitSet.has(25));
 console.log('Has 30:', privateBitSet.has(30));
+console.log('Size:', privateBitSet.size);
+
+// Grows past its initial max and serializes compactly
+privateBitSet.insert(5000);
+console.log('Max after insert(5000):', privateBitSet.max);
+let encoded = privateBitSet.toBuffer();
+console.log('Encoded bytes:', encoded.length);
+console.log('Decoded:', [...BitSetModule.fromBuffer(encoded)]);
+try {
+  privateBitSet.or([1, 2, 3]);
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
 
 // Private functions are NOT accessible
 console.log('Can access private isValid?', typeof isValid === 'undefined');
@@ -265,39 +448,8 @@ function require(moduleName) {
 modules['sets.js'] = (function () {
   const exports = {};
 
-  // Private helper
-  function isValid(set, n) {
-    return Number.isInteger(n) && n >= 0 && n < set.max;
-  }
-
-  // Export BitSet class
-  exports.BitSet = class BitSet {
-    constructor(max) {
-      this.max = max;
-      this.bits = new Uint8Array(Math.ceil(max / 8));
-    }
-
-    insert(n) {
-      if (isValid(this, n)) {
-        let byte = Math.floor(n / 8);
-        let bit = n % 8;
-        this.bits[byte] |= 1 << bit;
-      }
-    }
-
-    has(n) {
-      if (!isValid(this, n)) return false;
-      let byte = Math.floor(n / 8);
-      let bit = n % 8;
-      return (this.bits[byte] & (1 << bit)) !== 0;
-    }
-
-    *[Symbol.iterator]() {
-      for (let i = 0; i < this.max; i++) {
-        if (this.has(i)) yield i;
-      }
-    }
-  };
+  // Re-export section 3's BitSet instead of defining another one
+  exports.BitSet = BitSetModule;
 
   // Export RangeSet class
   exports.RangeSet = class RangeSet {
@@ -361,11 +513,12 @@ modules['math-utils.js'] = (function () {
 console.log('Using require() to load modules:');
 
 const statsModule = require('stats.js');
-const BitSet = require('sets.js').BitSet;
+// Renamed on import: section 1 already declared a BitSet in this scope
+const BundledBitSet = require('sets.js').BitSet;
 const RangeSet = require('sets.js').RangeSet;
 const mathUtils = require('math-utils.js');
 
-let mySet = new BitSet(100);
+let mySet = new BundledBitSet(100);
 mySet.insert(10);
 mySet.insert(20);
 mySet.insert(30);
@@ -381,69 +534,447 @@ console.log('Fibonacci of 10:', mathUtils.fibonacci(10));
 
 console.log('\n=== 6. PRACTICAL EXAMPLE: COMPLEX MODULE ===\n');
 
+// The one shopping cart for these examples. The other carts in the tutorial
+// (03/12-immutable-vs-mutable, 09-classes/04, 10-modules/02) are kept
+// small on purpose and point back here.
+//
+// All money is held as integers in the currency's minor unit (cents for
+// USD, whole yen for JPY), so 0.1 + 0.2 never shows up on a receipt.
+// Prices go in as ordinary decimals and are converted exactly once.
 const ShoppingCart = (function () {
-  // PRIVATE: Tax rate
-  const TAX_RATE = 0.08;
+  // PRIVATE: Tax rules per jurisdiction. `rate` is the default and
+  // `categories` override it; `inclusive` means shelf prices already
+  // contain the tax (VAT), so it is reported but not added.
+  const TAX_RULES = {
+    'US-NY': { label: 'Sales tax', rate: 0.08875, categories: { grocery: 0 } },
+    'US-OR': { label: 'Sales tax', rate: 0 },
+    DE: {
+      label: 'MwSt.',
+      rate: 0.19,
+      categories: { books: 0.07, grocery: 0.07 },
+      inclusive: true,
+    },
+    GB: {
+      label: 'VAT',
+      rate: 0.2,
+      categories: { books: 0, grocery: 0 },
+      inclusive: true,
+    },
+    JP: {
+      label: '消費税',
+      rate: 0.1,
+      categories: { grocery: 0.08 },
+      inclusive: true,
+    },
+  };
 
-  // PRIVATE: Helper to calculate tax
-  function calculateTax(subtotal) {
-    return subtotal * TAX_RATE;
+  // PRIVATE: Digits after the decimal point, straight from Intl. Building
+  // a NumberFormat is slow, so each currency is looked up once.
+  const digitsByCurrency = new Map();
+
+  function minorDigits(currency) {
+    if (!digitsByCurrency.has(currency)) {
+      let { maximumFractionDigits } = new Intl.NumberFormat('en', {
+        style: 'currency',
+        currency,
+      }).resolvedOptions();
+      digitsByCurrency.set(currency, maximumFractionDigits);
+    }
+    return digitsByCurrency.get(currency);
   }
 
-  // PRIVATE: Helper to format currency
-  function formatCurrency(amount) {
-    return `$${amount.toFixed(2)}`;
+  // PRIVATE: 19.99 → 1999. 19.99 * 100 is 1998.9999999999998, which
+  // rounds to the right integer; dividing back must give the amount again,
+  // or it had digits the currency can't hold (19.999 USD, 150.5 JPY).
+  function toMinor(amount, currency) {
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new RangeError('Invalid amount: ' + amount);
+    }
+    let scale = 10 ** minorDigits(currency);
+    let minor = Math.round(amount * scale);
+    if (!Number.isSafeInteger(minor)) {
+      throw new RangeError(`Amount too large: ${amount} ${currency}`);
+    }
+    if (minor / scale !== amount) {
+      throw new RangeError(
+        `${amount} ${currency} is finer than the currency's smallest unit`
+      );
+    }
+    return minor;
   }
 
+  // PRIVATE: Splits `total` cents across lines in proportion to `weights`,
+  // handing leftover cents to the largest remainders so the parts always
+  // add up to exactly `total`
+  function allocate(total, weights) {
+    let sum = weights.reduce((a, b) => a + b, 0);
+    if (sum === 0) return weights.map(() => 0);
+    let exact = weights.map((w) => (total * w) / sum);
+    let parts = exact.map(Math.floor);
+    let leftover = total - parts.reduce((a, b) => a + b, 0);
+    exact
+      .map((value, i) => [value - parts[i], i])
+      .sort((a, b) => b[0] - a[0])
+      .slice(0, leftover)
+      .forEach(([, i]) => parts[i]++);
+    return parts;
+  }
+
+  function variantKey(sku, variant) {
+    return sku + JSON.stringify(Object.entries(variant).sort());
+  }
+
+  function describe(line) {
+    let options = Object.values(line.variant);
+    return options.length ? `${line.name} (${options.join(', ')})` : line.name;
+  }
+
+  // PUBLIC: Promotion rules. Each one looks at the lines (with whatever
+  // earlier promotions have left of each line's amount in `remaining`) and
+  // returns the cents to take off per line. They stack in the order they
+  // were added to the cart, and a line can never go below zero.
+  const promotions = {
+    // percentOff everything, or only a category or SKU
+    percentage({ percentOff, category, sku, label }) {
+      return {
+        label: label ?? `${percentOff}% off ${category ?? sku ?? 'everything'}`,
+        apply(lines) {
+          return lines
+            .filter((line) => !category || line.category === category)
+            .filter((line) => !sku || line.sku === sku)
+            .map((line) => ({
+              lineId: line.id,
+              amount: Math.round((line.remaining * percentOff) / 100),
+            }));
+        },
+      };
+    },
+
+    // Buy `buy`, get `get` at percentOff (free by default). Units of the SKU
+    // are ranked by price across all variants, so the cheapest ones in each
+    // group are the ones discounted. Prices are what is left after earlier
+    // promotions, so a free sock in a 20%-off sale is worth the sale price.
+    bogo({ sku, buy = 1, get = 1, percentOff = 100, label }) {
+      return {
+        label:
+          label ??
+          `${sku}: buy ${buy}, get ${get} ${percentOff === 100 ? 'free' : percentOff + '% off'}`,
+        apply(lines) {
+          let units = lines
+            .filter((line) => line.sku === sku)
+            .flatMap((line) =>
+              Array(line.quantity).fill({
+                id: line.id,
+                price: line.remaining / line.quantity,
+              })
+            )
+            .sort((a, b) => b.price - a.price);
+          let discounts = [];
+          for (let i = buy; i < units.length; i += buy + get) {
+            for (let unit of units.slice(i, i + get)) {
+              discounts.push({
+                lineId: unit.id,
+                amount: Math.round((unit.price * percentOff) / 100),
+              });
+            }
+          }
+          return discounts;
+        },
+      };
+    },
+
+    // amountOff or percentOff the order once it reaches minSubtotal (after
+    // earlier discounts), spread across lines so tax stays per category
+    threshold({ minSubtotal, amountOff, percentOff, label }) {
+      return {
+        label:
+          label ??
+          `Save ${amountOff ?? percentOff + '%'} on orders over ${minSubtotal}`,
+        apply(lines, { toMinor }) {
+          let remaining = lines.map((line) => line.remaining);
+          let subtotal = remaining.reduce((a, b) => a + b, 0);
+          if (subtotal < toMinor(minSubtotal)) return [];
+          let off =
+            amountOff !== undefined
+              ? Math.min(toMinor(amountOff), subtotal)
+              : Math.round((subtotal * percentOff) / 100);
+          return allocate(off, remaining).map((amount, i) => ({
+            lineId: lines[i].id,
+            amount,
+          }));
+        },
+      };
+    },
+
+    // Any of the above, activated by cart.applyCoupon(code) until `expires`
+    coupon({ code, expires, promotion }) {
+      return {
+        ...promotion,
+        code: code.toUpperCase(),
+        expires: expires === undefined ? null : new Date(expires),
+        label: `${promotion.label} (${code.toUpperCase()})`,
+      };
+    },
+  };
+
   // PUBLIC: Cart class
   return class ShoppingCart {
-    constructor() {
-      this.items = [];
+    // options.currency: ISO 4217 code for prices and receipts
+    // options.jurisdiction: key into taxRules
+    // options.coupons: promotions.coupon(...) objects customers may redeem
+    // options.maxQuantityPerLine: cart-wide limit; items can set a lower one
+    // options.now: injectable clock for coupon expiry
+    constructor({
+      currency = 'USD',
+      jurisdiction = 'US-NY',
+      taxRules = TAX_RULES,
+      promotions: rules = [],
+      coupons = [],
+      maxQuantityPerLine = 10,
+      now = Date.now,
+    } = {}) {
+      if (!taxRules[jurisdiction]) {
+        throw new RangeError('No tax rules for jurisdiction: ' + jurisdiction);
+      }
+      this.currency = currency;
+      this.tax = taxRules[jurisdiction];
+      this.promotions = [...rules];
+      this.maxQuantityPerLine = maxQuantityPerLine;
+      this.now = now;
+      this.items = []; // Lines: { id, sku, name, variant, category, unitPrice, quantity, maxQuantity }
+      this._nextId = 1;
+      this._coupons = new Map(coupons.map((c) => [c.code, c]));
+      this._applied = new Set();
     }
 
-    addItem(name, price, quantity = 1) {
-      this.items.push({ name, price, quantity });
-      console.log(`Added ${quantity}x ${name} @ ${formatCurrency(price)}`);
+    // addItem({ sku, name, price, quantity, variant, category, maxQuantity }),
+    // or the old addItem(name, price, quantity). The same SKU and variant
+    // adds to the existing line, which must then have the same price and
+    // category.
+    addItem(item, price, quantity = 1) {
+      if (typeof item === 'string') item = { name: item, price, quantity };
+      let {
+        name,
+        sku = name,
+        variant = {},
+        category = 'general',
+        maxQuantity = this.maxQuantityPerLine,
+      } = item;
+      let added = item.quantity ?? 1;
+      if (!Number.isInteger(added) || added < 1) {
+        throw new RangeError('Quantity to add must be at least 1: ' + added);
+      }
+      let unitPrice = toMinor(item.price, this.currency);
+      let key = variantKey(sku, variant);
+      let line = this.items.find((l) => variantKey(l.sku, l.variant) === key);
+
+      if (line) {
+        if (line.unitPrice !== unitPrice || line.category !== category) {
+          throw new RangeError(
+            `${describe(line)} is already in the cart at ` +
+              `${this.format(line.unitPrice)} (${line.category})`
+          );
+        }
+        this._checkQuantity(line, line.quantity + added);
+        line.quantity += added;
+      } else {
+        line = {
+          id: this._nextId++,
+          sku,
+          name,
+          variant: { ...variant },
+          category,
+          unitPrice,
+          maxQuantity: Math.min(maxQuantity, this.maxQuantityPerLine),
+          quantity: 0,
+        };
+        this._checkQuantity(line, added);
+        line.quantity = added;
+        this.items.push(line);
+      }
+      console.log(
+        `Added ${added}x ${describe(line)} @ ${this.format(line.unitPrice)}`
+      );
+      return line.id;
+    }
+
+    _checkQuantity(line, quantity) {
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        throw new RangeError('Quantity must be a whole number: ' + quantity);
+      }
+      if (quantity > line.maxQuantity) {
+        throw new RangeError(
+          `At most ${line.maxQuantity} of ${describe(line)} per order`
+        );
+      }
     }
 
-    removeItem(name) {
-      let index = this.items.findIndex((item) => item.name === name);
+    // Accepts a line id, or a name for the old API
+    removeItem(idOrName) {
+      let index = this.items.findIndex(
+        (line) => line.id === idOrName || line.name === idOrName
+      );
       if (index !== -1) {
         let removed = this.items.splice(index, 1)[0];
-        console.log(`Removed ${removed.name}`);
+        console.log(`Removed ${describe(removed)}`);
         return true;
       }
       return false;
     }
 
+    // A quantity of 0 removes the line
+    updateQuantity(id, quantity) {
+      let line = this.items.find((l) => l.id === id);
+      if (!line) return false;
+      this._checkQuantity(line, quantity);
+      if (quantity === 0) return this.removeItem(id);
+      line.quantity = quantity;
+      return true;
+    }
+
+    applyCoupon(code) {
+      let coupon = this._coupons.get(code.toUpperCase());
+      if (!coupon) throw new Error('Unknown coupon: ' + code);
+      if (coupon.expires && coupon.expires <= this.now()) {
+        throw new Error(
+          `Coupon ${coupon.code} expired on ${coupon.expires.toISOString().slice(0, 10)}`
+        );
+      }
+      this._applied.add(coupon.code);
+      return true;
+    }
+
+    // Everything a receipt needs, in minor units. Coupons are re-checked
+    // here, so one that expires while sitting in the cart stops applying.
+    totals() {
+      let lines = this.items.map((line) => ({
+        ...line,
+        amount: line.unitPrice * line.quantity,
+        discount: 0,
+      }));
+      let active = [
+        ...this.promotions,
+        ...[...this._applied]
+          .map((code) => this._coupons.get(code))
+          .filter((c) => !c.expires || c.expires > this.now()),
+      ];
+      let context = { toMinor: (amount) => toMinor(amount, this.currency) };
+
+      let discounts = [];
+      for (let promotion of active) {
+        let view = lines.map((line) => ({
+          ...line,
+          remaining: line.amount - line.discount,
+        }));
+        let applied = 0;
+        for (let { lineId, amount } of promotion.apply(view, context)) {
+          let line = lines.find((l) => l.id === lineId);
+          let capped = Math.min(amount, line.amount - line.discount);
+          line.discount += capped;
+          applied += capped;
+        }
+        if (applied > 0)
+          discounts.push({ label: promotion.label, amount: applied });
+      }
+
+      // Tax per line on the discounted amount, then grouped by rate
+      let taxes = new Map();
+      for (let line of lines) {
+        let rate = this.tax.categories?.[line.category] ?? this.tax.rate;
+        let net = line.amount - line.discount;
+        line.tax = Math.round(
+          this.tax.inclusive ? net - net / (1 + rate) : net * rate
+        );
+        taxes.set(rate, (taxes.get(rate) ?? 0) + line.tax);
+      }
+
+      let subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+      let discountTotal = discounts.reduce((sum, d) => sum + d.amount, 0);
+      let taxTotal = [...taxes.values()].reduce((a, b) => a + b, 0);
+      return {
+        lines,
+        subtotal,
+        discounts,
+        discountTotal,
+        taxes: [...taxes].map(([rate, amount]) => ({ rate, amount })),
+        taxTotal,
+        inclusive: Boolean(this.tax.inclusive),
+        total: subtotal - discountTotal + (this.tax.inclusive ? 0 : taxTotal),
+      };
+    }
+
+    // In minor units (cents for USD), exact
+    getSubtotalMinor() {
+      return this.totals().subtotal;
+    }
+
+    getTaxMinor() {
+      return this.totals().taxTotal;
+    }
+
+    getTotalMinor() {
+      return this.totals().total;
+    }
+
+    // In the currency's main unit, as before, for display and old callers
     getSubtotal() {
-      return this.items.reduce((sum, item) => {
-        return sum + item.price * item.quantity;
-      }, 0);
+      return this._toMajor(this.getSubtotalMinor());
     }
 
     getTax() {
-      return calculateTax(this.getSubtotal());
+      return this._toMajor(this.getTaxMinor());
     }
 
     getTotal() {
-      return this.getSubtotal() + this.getTax();
+      return this._toMajor(this.getTotalMinor());
     }
 
-    printReceipt() {
-      console.log('\n--- RECEIPT ---');
-      this.items.forEach((item) => {
-        let lineTotal = item.price * item.quantity;
-        console.log(
-          `${item.quantity}x ${item.name}: ${formatCurrency(lineTotal)}`
-        );
+    _toMajor(minor) {
+      return minor / 10 ** minorDigits(this.currency);
+    }
+
+    format(minor, locale = 'en-US') {
+      return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: this.currency,
+      }).format(this._toMajor(minor));
+    }
+
+    receipt(locale = 'en-US') {
+      let t = this.totals();
+      let money = (minor) => this.format(minor, locale);
+      let percent = new Intl.NumberFormat(locale, {
+        style: 'percent',
+        maximumFractionDigits: 3,
       });
-      console.log('---------------');
-      console.log(`Subtotal: ${formatCurrency(this.getSubtotal())}`);
-      console.log(`Tax (8%): ${formatCurrency(this.getTax())}`);
-      console.log(`Total: ${formatCurrency(this.getTotal())}`);
-      console.log('---------------\n');
+
+      let rows = ['--- RECEIPT ---'];
+      for (let line of t.lines) {
+        rows.push(`${line.quantity}x ${describe(line)}: ${money(line.amount)}`);
+      }
+      rows.push('---------------');
+      rows.push(`Subtotal: ${money(t.subtotal)}`);
+      for (let { label, amount } of t.discounts) {
+        rows.push(`${label}: -${money(amount)}`);
+      }
+      for (let { rate, amount } of t.taxes) {
+        if (rate === 0) continue;
+        let included = t.inclusive ? ' (included)' : '';
+        rows.push(
+          `${this.tax.label} ${percent.format(rate)}${included}: ${money(amount)}`
+        );
+      }
+      rows.push(`Total: ${money(t.total)}`);
+      rows.push('---------------');
+      return rows.join('\n');
+    }
+
+    printReceipt(locale) {
+      console.log('\n' + this.receipt(locale) + '\n');
     }
+
+    static promotions = promotions;
+    static TAX_RULES = TAX_RULES;
   };
 })();
 
@@ -453,6 +984,104 @@ cart.addItem('Laptop', 999.99);
 cart.addItem('Mouse', 29.99, 2);
 cart.addItem('Keyboard', 79.99);
 cart.printReceipt();
+console.log('getTotal():', cart.getTotal());
+console.log('getTotalMinor():', cart.getTotalMinor());
+
+// Variants, limits, stacked promotions and a coupon
+const { percentage, bogo, threshold, coupon } = ShoppingCart.promotions;
+let shop = new ShoppingCart({
+  promotions: [
+    percentage({ percentOff: 20, category: 'clothing', label: 'Spring sale' }),
+    bogo({ sku: 'SOCKS', buy: 2, get: 1 }),
+    threshold({ minSubtotal: 100, amountOff: 10 }),
+  ],
+  coupons: [
+    coupon({
+      code: 'welcome5',
+      expires: '2099-01-01',
+      promotion: percentage({ percentOff: 5 }),
+    }),
+    coupon({
+      code: 'summer',
+      expires: '2020-09-01',
+      promotion: percentage({ percentOff: 15 }),
+    }),
+  ],
+});
+let shirt = shop.addItem({
+  sku: 'TEE',
+  name: 'T-shirt',
+  price: 24.99,
+  variant: { size: 'M', color: 'blue' },
+  category: 'clothing',
+});
+shop.addItem({
+  sku: 'TEE',
+  name: 'T-shirt',
+  price: 24.99,
+  variant: { size: 'L', color: 'blue' },
+  category: 'clothing',
+});
+shop.addItem({
+  sku: 'SOCKS',
+  name: 'Socks',
+  price: 6,
+  quantity: 3,
+  category: 'clothing',
+});
+shop.addItem({
+  sku: 'APPLES',
+  name: 'Apples',
+  price: 3.49,
+  quantity: 4,
+  category: 'grocery',
+});
+shop.addItem({ sku: 'CONSOLE', name: 'Console', price: 499, maxQuantity: 1 });
+shop.updateQuantity(shirt, 2);
+
+try {
+  shop.addItem({ sku: 'CONSOLE', name: 'Console', price: 499 });
+} catch (e) {
+  console.log('Limit:', e.message);
+}
+for (let bad of [
+  { name: 'Nothing', price: 1, quantity: 0 },
+  { name: 'Gum', price: 1e-7 },
+  { name: 'Yacht', price: 1e21 },
+  { sku: 'SOCKS', name: 'Socks', price: 5, category: 'clothing' },
+  { sku: 'APPLES', name: 'Apples', price: 3.49, category: 'general' },
+]) {
+  try {
+    shop.addItem(bad);
+  } catch (e) {
+    console.log('Rejected:', e.message);
+  }
+}
+try {
+  shop.applyCoupon('SUMMER');
+} catch (e) {
+  console.log('Coupon:', e.message);
+}
+shop.applyCoupon('welcome5');
+shop.printReceipt();
+
+// The same goods as a German shop: euros, 19% / 7% VAT already in the price
+let euroCart = new ShoppingCart({ currency: 'EUR', jurisdiction: 'DE' });
+euroCart.addItem({ name: 'Kopfhörer', price: 59.9 });
+euroCart.addItem({ name: 'Kochbuch', price: 24, category: 'books' });
+euroCart.addItem({
+  name: 'Kaffee',
+  price: 8.99,
+  quantity: 2,
+  category: 'grocery',
+});
+euroCart.printReceipt('de-DE');
+
+// Yen have no minor unit, so 1 yen is the smallest amount
+let yenCart = new ShoppingCart({ currency: 'JPY', jurisdiction: 'JP' });
+yenCart.addItem({ name: 'お茶', price: 150, quantity: 3, category: 'grocery' });
+yenCart.addItem({ name: '傘', price: 1200 });
+yenCart.printReceipt('ja-JP');
 
 console.log('\n=== 7. REVEALING MODULE PATTERN ===\n');
 
@@ -48,36 +48,230 @@ console.log('Standard Deviation:', statsModule.stddev(testData));
 // =====================================================
 console.log('\n=== 2. EXPORTING SINGLE VALUE ===\n');
 
-// Simulate bitset.js module exporting a class
+// Simulate bitset.js module exporting a class: the same growable BitSet
+// as 10-modules/01 and 09-classes/05-subclasses. Everything but the class
+// stays inside the module. In a real bitset.js the last line would be
+// `module.exports = BitSet`.
 const BitSetModule = (function () {
+  // PRIVATE: Constants
+  const BITS_PER_WORD = 32;
+  const MAX_VALUE = 2 ** 24 - 1; // Caps the word array at 2 MB
+  const FORMAT_VERSION = 1;
+
+  // PRIVATE: Helper functions not accessible outside
+  function isValid(n) {
+    return Number.isInteger(n) && n >= 0 && n <= MAX_VALUE;
+  }
+
+  function checkElement(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new TypeError('Invalid set element: ' + n);
+    }
+    if (n > MAX_VALUE) {
+      throw new RangeError(`BitSet element ${n} is above ${MAX_VALUE}`);
+    }
+  }
+
+  function checkBitSet(method, other) {
+    if (!(other instanceof BitSet)) {
+      throw new TypeError(`BitSet.${method}() expects a BitSet`);
+    }
+  }
+
+  function hasBit(words, n) {
+    return (words[n >>> 5] & (1 << (n & 31))) !== 0;
+  }
+
+  // Grow the word array (at least doubling) so index `word` exists
+  function grow(set, word) {
+    if (word < set.words.length) return;
+    let words = new Uint32Array(Math.max(word + 1, set.words.length * 2));
+    words.set(set.words);
+    set.words = words;
+  }
+
+  function popcount(word) {
+    word = word - ((word >>> 1) & 0x55555555);
+    word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+    return Math.imul((word + (word >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+  }
+
+  function recount(set) {
+    set.n = 0;
+    for (let word of set.words) set.n += popcount(word);
+  }
+
+  // LEB128-style unsigned varints: 7 bits per byte, high bit = "more"
+  function writeVarint(bytes, value) {
+    while (value >= 0x80) {
+      bytes.push((value & 0x7f) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+  }
+
+  function readVarint(bytes, position) {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      if (position.offset >= bytes.length) {
+        throw new RangeError('Truncated BitSet buffer');
+      }
+      byte = bytes[position.offset++];
+      value += (byte & 0x7f) * scale;
+      scale *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  // PUBLIC: The class
   class BitSet {
-    constructor() {
-      this.bits = new Set();
+    constructor(max = BITS_PER_WORD - 1) {
+      checkElement(max);
+      this.n = 0;
+      this.words = new Uint32Array(Math.floor(max / BITS_PER_WORD) + 1);
+    }
+
+    // Largest element that fits without growing
+    get max() {
+      return this.words.length * BITS_PER_WORD - 1;
     }
 
-    add(num) {
-      this.bits.add(num);
+    get size() {
+      return this.n;
+    }
+
+    insert(n) {
+      checkElement(n);
+      grow(this, n >>> 5); // Uses private function
+      if (!hasBit(this.words, n)) {
+        this.words[n >>> 5] |= 1 << (n & 31);
+        this.n++;
+      }
+    }
+
+    has(n) {
+      if (!isValid(n) || n > this.max) return false;
+      return hasBit(this.words, n); // Uses private function
+    }
+
+    remove(n) {
+      checkElement(n);
+      if (n <= this.max && hasBit(this.words, n)) {
+        this.words[n >>> 5] &= ~(1 << (n & 31));
+        this.n--;
+      }
+    }
+
+    // Word-level set operations, modifying this set in place
+    and(other) {
+      checkBitSet('and', other);
+      for (let i = 0; i < this.words.length; i++) {
+        this.words[i] &= i < other.words.length ? other.words[i] : 0;
+      }
+      recount(this);
       return this;
     }
 
-    has(num) {
-      return this.bits.has(num);
+    or(other) {
+      checkBitSet('or', other);
+      grow(this, other.words.length - 1);
+      for (let i = 0; i < other.words.length; i++) {
+        this.words[i] |= other.words[i];
+      }
+      recount(this);
+      return this;
+    }
+
+    xor(other) {
+      checkBitSet('xor', other);
+      grow(this, other.words.length - 1);
+      for (let i = 0; i < other.words.length; i++) {
+        this.words[i] ^= other.words[i];
+      }
+      recount(this);
+      return this;
     }
 
-    size() {
-      return this.bits.size;
+    andNot(other) {
+      checkBitSet('andNot', other);
+      let length = Math.min(this.words.length, other.words.length);
+      for (let i = 0; i < length; i++) {
+        this.words[i] &= ~other.words[i];
+      }
+      recount(this);
+      return this;
+    }
+
+    *[Symbol.iterator]() {
+      for (let i = 0; i < this.words.length; i++) {
+        let word = this.words[i];
+        // Skip empty words, then peel off the lowest set bit each time
+        while (word !== 0) {
+          let lowest = word & -word;
+          yield i * BITS_PER_WORD + 31 - Math.clz32(lowest);
+          word ^= lowest;
+        }
+      }
+    }
+
+    // Run-length encoding: version byte, then (gap, run length) varints
+    toBuffer() {
+      let bytes = [FORMAT_VERSION];
+      let start = -1;
+      let previous = -1;
+      let end = 0;
+      for (let n of this) {
+        if (n !== previous + 1 || start === -1) {
+          if (start !== -1) {
+            writeVarint(bytes, start - end);
+            writeVarint(bytes, previous - start + 1);
+            end = previous + 1;
+          }
+          start = n;
+        }
+        previous = n;
+      }
+      if (start !== -1) {
+        writeVarint(bytes, start - end);
+        writeVarint(bytes, previous - start + 1);
+      }
+      return Uint8Array.from(bytes);
+    }
+
+    static fromBuffer(buffer) {
+      let bytes =
+        buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+      if (bytes[0] !== FORMAT_VERSION) {
+        throw new TypeError('Unsupported BitSet format: ' + bytes[0]);
+      }
+      let set = new BitSet();
+      let position = { offset: 1 };
+      let end = 0;
+      while (position.offset < bytes.length) {
+        let start = end + readVarint(bytes, position);
+        if (position.offset >= bytes.length) {
+          throw new RangeError('Truncated BitSet buffer');
+        }
+        end = start + readVarint(bytes, position);
+        checkElement(end - 1);
+        for (let n = start; n < end; n++) set.insert(n);
+      }
+      return set;
     }
   }
 
-  // module.exports = BitSet
+  BitSet.MAX_VALUE = MAX_VALUE;
   return BitSet;
 })();
 
 console.log('BitSet module exports a class');
 const bitset = new BitSetModule();
-bitset.add(1).add(5).add(10);
+for (let n of [1, 5, 10]) bitset.insert(n);
 console.log('BitSet has 5?', bitset.has(5));
-console.log('BitSet size:', bitset.size());
+console.log('BitSet size:', bitset.size);
+console.log('Helpers stay private?', typeof popcount === 'undefined');
 
 // =====================================================
 // 3. EXPORTING AT THE END OF MODULE
@@ -363,74 +557,74 @@ console.log("'invalid' is email?", isEmail('invalid'));
 console.log("'' is empty?", isEmpty(''));
 
 // =====================================================
-// 10. SHOPPING CART MODULE (STATEFUL)
+// 10. TODO LIST MODULE (STATEFUL)
 // =====================================================
-console.log('\n=== 10. SHOPPING CART MODULE ===\n');
+console.log('\n=== 10. TODO LIST MODULE ===\n');
 
-const ShoppingCartModule = (function () {
+// A singleton: every require() of this module gets the same list.
+const TodoListModule = (function () {
   // Private state
-  const items = [];
+  const todos = [];
   let nextId = 1;
 
   // Private helper
-  function findItem(id) {
-    return items.find((item) => item.id === id);
+  function findTodo(id) {
+    return todos.find((todo) => todo.id === id);
   }
 
   // Public API
   return {
-    addItem(name, price, quantity = 1) {
-      items.push({
+    addTodo(title) {
+      todos.push({
         id: nextId++,
-        name,
-        price,
-        quantity,
+        title,
+        done: false,
       });
-      console.log(`Added: ${name} x${quantity} @ $${price}`);
+      console.log(`Added: ${title}`);
     },
 
-    removeItem(id) {
-      const index = items.findIndex((item) => item.id === id);
+    removeTodo(id) {
+      const index = todos.findIndex((todo) => todo.id === id);
       if (index !== -1) {
-        const removed = items.splice(index, 1)[0];
-        console.log(`Removed: ${removed.name}`);
+        const removed = todos.splice(index, 1)[0];
+        console.log(`Removed: ${removed.title}`);
         return true;
       }
       return false;
     },
 
-    updateQuantity(id, quantity) {
-      const item = findItem(id);
-      if (item) {
-        item.quantity = quantity;
-        console.log(`Updated ${item.name} quantity to ${quantity}`);
+    complete(id) {
+      const todo = findTodo(id);
+      if (todo) {
+        todo.done = true;
+        console.log(`Completed: ${todo.title}`);
       }
     },
 
-    getTotal() {
-      return items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    getPendingCount() {
+      return todos.filter((todo) => !todo.done).length;
     },
 
-    getItems() {
-      return [...items]; // Return copy
+    getTodos() {
+      return todos.map((todo) => ({ ...todo })); // Return copies
     },
 
     clear() {
-      items.length = 0;
-      console.log('Cart cleared');
+      todos.length = 0;
+      console.log('List cleared');
     },
   };
 })();
 
-ShoppingCartModule.addItem('Laptop', 999.99, 1);
-ShoppingCartModule.addItem('Mouse', 29.99, 2);
-ShoppingCartModule.addItem('Keyboard', 79.99, 1);
+TodoListModule.addTodo('Write docs');
+TodoListModule.addTodo('Fix tests');
+TodoListModule.addTodo('Release');
 
-console.log('\nCart items:', ShoppingCartModule.getItems());
-console.log('Total: $' + ShoppingCartModule.getTotal().toFixed(2));
+console.log('\nTodos:', TodoListModule.getTodos());
+console.log('Pending:', TodoListModule.getPendingCount());
 
-ShoppingCartModule.updateQuantity(2, 3);
-console.log('Updated total: $' + ShoppingCartModule.getTotal().toFixed(2));
+TodoListModule.complete(2);
+console.log('Pending after completing one:', TodoListModule.getPendingCount());
 
 // =====================================================
 // 11. MODULE PATTERNS COMPARISON
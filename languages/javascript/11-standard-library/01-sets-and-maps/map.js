@@ -193,10 +193,15 @@ console.log('\n=== 8. PRACTICAL EXAMPLES ===\n');
 
 // Example 1: Frequency counter
 console.log('Example 1: Character frequency counter');
-function charFrequency(str) {
+// Counts letters, not code points: Intl.Segmenter keeps "é" written as
+// e + combining accent, or a Bengali consonant with its vowel sign, together
+// as one grapheme, and \p{L} accepts letters from every script.
+function charFrequency(str, locale = 'en') {
   let freq = new Map();
-  for (let char of str.toLowerCase()) {
-    if (char.match(/[a-z]/)) {
+  let segmenter = new Intl.Segmenter(locale, { granularity: 'grapheme' });
+  for (let { segment } of segmenter.segment(str.normalize('NFC'))) {
+    if (/^\p{L}/u.test(segment)) {
+      let char = segment.toLocaleLowerCase(locale);
       freq.set(char, (freq.get(char) || 0) + 1);
     }
   }
@@ -209,6 +214,11 @@ console.log("Character frequencies in 'Hello World':");
 for (let [char, count] of frequency) {
   console.log(`'${char}': ${count}`);
 }
+console.log(
+  "charFrequency('Éléphant'):",
+  charFrequency('E\u0301le\u0301phant')
+);
+console.log("charFrequency('বাংলা', 'bn'):", charFrequency('বাংলা', 'bn'));
 
 // Example 2: Caching function results
 console.log('\nExample 2: Function result caching');
@@ -240,16 +250,315 @@ let students = [
   { name: 'Eve', grade: 'B' },
 ];
 
-function groupBy(array, key) {
-  let grouped = new Map();
-  for (let item of array) {
-    let groupKey = item[key];
-    if (!grouped.has(groupKey)) {
-      grouped.set(groupKey, []);
+// groupBy() started life as a one-off loop. It is now one step of a small
+// query pipeline over any iterable - arrays, Maps, Sets or generators.
+//
+// Steps such as where() and select() are lazy: nothing runs until the query
+// is iterated, and each item flows through the whole chain before the next
+// one is pulled. A generator producing millions of rows is processed in one
+// pass without ever being held in memory. Only orderBy() (which has to see
+// everything before it can yield the smallest) and the inner side of a
+// join() buffer their input.
+//
+// Key arguments are property names or functions: groupBy('grade') is
+// groupBy((s) => s.grade).
+function toSelector(key) {
+  return typeof key === 'function' ? key : (item) => item[key];
+}
+
+class Query {
+  // source() returns a fresh iterator, so a query over an array can be run
+  // more than once. A query over a generator object, like the generator
+  // itself, can only be consumed once.
+  constructor(source) {
+    this._source = source;
+  }
+
+  [Symbol.iterator]() {
+    return this._source();
+  }
+
+  // Wraps a generator function (source iterable, ...args) as a new step
+  _pipe(step, ...args) {
+    let upstream = this;
+    return new Query(() => step(upstream, ...args));
+  }
+
+  // --- Lazy steps ---
+
+  where(predicate) {
+    return this._pipe(function* (items) {
+      let index = 0;
+      for (let item of items) if (predicate(item, index++)) yield item;
+    });
+  }
+
+  select(selector) {
+    selector = toSelector(selector);
+    return this._pipe(function* (items) {
+      let index = 0;
+      for (let item of items) yield selector(item, index++);
+    });
+  }
+
+  // Stops pulling from the source once n items have passed
+  take(n) {
+    return this._pipe(function* (items) {
+      if (n <= 0) return;
+      let taken = 0;
+      for (let item of items) {
+        yield item;
+        if (++taken >= n) return;
+      }
+    });
+  }
+
+  skip(n) {
+    return this._pipe(function* (items) {
+      let skipped = 0;
+      for (let item of items) {
+        if (skipped++ >= n) yield item;
+      }
+    });
+  }
+
+  // First item for each key wins; only the keys are remembered
+  distinctBy(key = (item) => item) {
+    let selector = toSelector(key);
+    return this._pipe(function* (items) {
+      let seen = new Set();
+      for (let item of items) {
+        let k = selector(item);
+        if (!seen.has(k)) {
+          seen.add(k);
+          yield item;
+        }
+      }
+    });
+  }
+
+  // [1..7].chunk(3) → [1, 2, 3], [4, 5, 6], [7]
+  chunk(size) {
+    if (!(size >= 1)) throw new RangeError('Chunk size must be at least 1.');
+    return this._pipe(function* (items) {
+      let batch = [];
+      for (let item of items) {
+        batch.push(item);
+        if (batch.length === size) {
+          yield batch;
+          batch = [];
+        }
+      }
+      if (batch.length > 0) yield batch;
+    });
+  }
+
+  // Sliding windows: [1..5].window(3) → [1, 2, 3], [2, 3, 4], [3, 4, 5].
+  // Only the current window is kept in memory.
+  window(size, step = 1) {
+    if (!(size >= 1) || !(step >= 1)) {
+      throw new RangeError('Window size and step must be at least 1.');
     }
-    grouped.get(groupKey).push(item);
+    return this._pipe(function* (items) {
+      let buffer = [];
+      let toSkip = 0;
+      for (let item of items) {
+        if (toSkip > 0) {
+          toSkip--;
+          continue;
+        }
+        buffer.push(item);
+        if (buffer.length === size) {
+          yield buffer.slice();
+          let drop = Math.min(step, size);
+          buffer.splice(0, drop);
+          toSkip = step - drop;
+        }
+      }
+    });
+  }
+
+  // Inner join on equal keys. The inner side is read into a lookup Map the
+  // first time the query runs and that Map is reused on later runs, so a
+  // generator works as the inner side too (later changes to an inner array
+  // are not seen). The outer side (this query) stays streamed.
+  join(inner, outerKey, innerKey, result = (o, i) => [o, i]) {
+    return this._join(inner, outerKey, innerKey, result, false);
+  }
+
+  // Like join(), but outer items without a match are kept, paired with
+  // undefined
+  leftJoin(inner, outerKey, innerKey, result = (o, i) => [o, i]) {
+    return this._join(inner, outerKey, innerKey, result, true);
+  }
+
+  _join(inner, outerKey, innerKey, result, keepUnmatched) {
+    let outerSelector = toSelector(outerKey);
+    let lookup;
+    return this._pipe(function* (items) {
+      lookup ??= query(inner).groupBy(innerKey);
+      for (let item of items) {
+        let matches = lookup.get(outerSelector(item));
+        if (matches) {
+          for (let match of matches) yield result(item, match);
+        } else if (keepUnmatched) {
+          yield result(item, undefined);
+        }
+      }
+    });
+  }
+
+  // Sorting needs every item, so this buffers - but only when iterated.
+  // direction is 'asc' (default) or 'desc'; chain thenBy() for tie-breakers.
+  orderBy(key, direction = 'asc') {
+    return new OrderedQuery(this, [{ selector: toSelector(key), direction }]);
+  }
+
+  // --- Terminal operations (each consumes the query once) ---
+
+  toArray() {
+    return [...this];
+  }
+
+  first(predicate = () => true) {
+    for (let item of this) if (predicate(item)) return item;
+    return undefined;
+  }
+
+  count() {
+    let n = 0;
+    for (let _ of this) n++;
+    return n;
+  }
+
+  // Map of key → array of items (or of select(item) when given)
+  groupBy(key, select = (item) => item) {
+    let selector = toSelector(key);
+    let groups = new Map();
+    for (let item of this) {
+      let k = selector(item);
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(select(item));
+    }
+    return groups;
+  }
+
+  // Map of key → number of items
+  countBy(key) {
+    let selector = toSelector(key);
+    let counts = new Map();
+    for (let item of this) {
+      let k = selector(item);
+      counts.set(k, (counts.get(k) ?? 0) + 1);
+    }
+    return counts;
+  }
+
+  // [matching, rest]
+  partition(predicate) {
+    let pass = [];
+    let fail = [];
+    for (let item of this) (predicate(item) ? pass : fail).push(item);
+    return [pass, fail];
+  }
+
+  reduce(reducer, initial) {
+    let accumulator = initial;
+    for (let item of this) accumulator = reducer(accumulator, item);
+    return accumulator;
   }
-  return grouped;
+
+  sum(key = (item) => item) {
+    let selector = toSelector(key);
+    return this.reduce((total, item) => total + selector(item), 0);
+  }
+
+  // NaN for an empty query, like 0 / 0
+  avg(key = (item) => item) {
+    let selector = toSelector(key);
+    let total = 0;
+    let n = 0;
+    for (let item of this) {
+      total += selector(item);
+      n++;
+    }
+    return total / n;
+  }
+
+  // The item (not the key) with the smallest key; the first one on ties
+  minBy(key) {
+    return this._extremeBy(key, (a, b) => a < b);
+  }
+
+  maxBy(key) {
+    return this._extremeBy(key, (a, b) => a > b);
+  }
+
+  _extremeBy(key, better) {
+    let selector = toSelector(key);
+    let best;
+    let bestKey;
+    let empty = true;
+    for (let item of this) {
+      let k = selector(item);
+      if (empty || better(k, bestKey)) {
+        best = item;
+        bestKey = k;
+        empty = false;
+      }
+    }
+    return best;
+  }
+}
+
+class OrderedQuery extends Query {
+  constructor(upstream, keys) {
+    super(() => {
+      let items = [...upstream];
+      // Array.prototype.sort is stable, so equal keys keep source order
+      items.sort((a, b) => {
+        for (let { selector, direction } of keys) {
+          let order = compareKeys(selector(a), selector(b), direction);
+          if (order !== 0) return order;
+        }
+        return 0;
+      });
+      return items[Symbol.iterator]();
+    });
+    this._upstream = upstream;
+    this._keys = keys;
+  }
+
+  thenBy(key, direction = 'asc') {
+    return new OrderedQuery(this._upstream, [
+      ...this._keys,
+      { selector: toSelector(key), direction },
+    ]);
+  }
+}
+
+// Strings compare by locale. null and undefined sort last in either
+// direction, so only the comparison of real values is flipped for 'desc'.
+function compareKeys(a, b, direction = 'asc') {
+  if (a == null || b == null) return (a == null) - (b == null);
+  let order = a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === 'string' && typeof b === 'string') {
+    order = a.localeCompare(b);
+  }
+  return direction === 'desc' ? -order : order;
+}
+
+function query(iterable) {
+  if (iterable instanceof Query) return iterable;
+  if (typeof iterable?.[Symbol.iterator] !== 'function') {
+    throw new TypeError('query() expects an iterable.');
+  }
+  return new Query(() => iterable[Symbol.iterator]());
+}
+
+// The original helper, now a one-liner
+function groupBy(array, key) {
+  return query(array).groupBy(key);
 }
 
 let byGrade = groupBy(students, 'grade');
@@ -258,46 +567,302 @@ for (let [grade, students] of byGrade) {
   console.log(`${grade}: ${students.map((s) => s.name).join(', ')}`);
 }
 
-// Example 4: LRU Cache (basic implementation)
-console.log('\nExample 4: Simple LRU Cache');
+let scores = [
+  { name: 'Alice', subject: 'math', score: 92 },
+  { name: 'Bob', subject: 'math', score: 78 },
+  { name: 'Alice', subject: 'art', score: 85 },
+  { name: 'Charlie', subject: 'math', score: 92 },
+  { name: 'Eve', subject: 'art', score: 64 },
+  { name: 'Frank', subject: 'art', score: 71 },
+];
+
+console.log(
+  'Ranked (score desc, then name):',
+  query(scores)
+    .orderBy('score', 'desc')
+    .thenBy('name')
+    .select((s) => `${s.name} ${s.score}`)
+    .toArray()
+);
+console.log(
+  'Grades of top scorers:',
+  query(scores)
+    .where((s) => s.score >= 85)
+    .join(
+      students,
+      'name',
+      'name',
+      (s, student) => `${s.name}: ${student.grade}`
+    )
+    .distinctBy()
+    .toArray()
+);
+console.log(
+  'Missing scores stay last in desc order:',
+  query([...scores, { name: 'Grace', subject: 'art' }])
+    .orderBy('score', 'desc')
+    .select((s) => s.name)
+    .toArray()
+    .slice(-2)
+);
+
+// A generator object can only be read once; join() keeps what it read
+function* gradeRows() {
+  for (let { name, grade } of students) yield { name, grade };
+}
+let withGrades = query(scores).join(gradeRows(), 'name', 'name');
+console.log(
+  'Generator join, run twice:',
+  withGrades.count(),
+  withGrades.count()
+);
+let viaQuery = query(scores).join(query(gradeRows()), 'name', 'name');
+console.log(
+  'query(generator) join, run twice:',
+  viaQuery.count(),
+  viaQuery.count()
+);
+let viaOrdered = query(scores).join(
+  query(gradeRows()).orderBy('grade'),
+  'name',
+  'name'
+);
+console.log(
+  'query(generator).orderBy() join, run twice:',
+  viaOrdered.count(),
+  viaOrdered.count()
+);
+console.log(
+  'Students without scores:',
+  query(students)
+    .leftJoin(scores, 'name', 'name')
+    .where(([, score]) => score === undefined)
+    .select(([student]) => student.name)
+    .toArray()
+);
+console.log(
+  'Average per subject:',
+  new Map(
+    [...query(scores).groupBy('subject', (s) => s.score)].map(
+      ([subject, list]) => [subject, query(list).avg()]
+    )
+  )
+);
+console.log('Count by subject:', query(scores).countBy('subject'));
+console.log(
+  'Best art score:',
+  query(scores)
+    .where((s) => s.subject === 'art')
+    .maxBy('score')
+);
+let [passed, failed] = query(scores).partition((s) => s.score >= 75);
+console.log('Passed / failed:', passed.length, '/', failed.length);
+console.log(
+  'Chunks of 4:',
+  query([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]).chunk(4).toArray()
+);
+console.log(
+  'Windows of 3:',
+  query('abcde')
+    .window(3)
+    .select((w) => w.join(''))
+    .toArray()
+);
+
+// Streaming: a generator of a million sensor readings, never stored
+let pulled = 0;
+function* readings(count) {
+  for (let i = 0; i < count; i++) {
+    pulled++;
+    yield { sensor: `s${i % 3}`, value: Math.sin(i / 1000) * 50 + 50 };
+  }
+}
+
+let peaks = query(readings(1_000_000))
+  .window(5)
+  .select((w) => query(w).avg('value'))
+  .where((avg) => avg > 99)
+  .take(3)
+  .toArray();
+console.log(
+  'First 3 moving averages above 99:',
+  peaks.map((v) => v.toFixed(3))
+);
+console.log(`  found after pulling ${pulled} of 1000000 readings`);
+
+pulled = 0;
+let average = query(readings(1_000_000))
+  .where((r) => r.sensor === 's1')
+  .avg('value');
+console.log(`Average of s1 over ${pulled} readings: ${average.toFixed(3)}`);
+
+// Example 4: LRU Cache with TTL expiry and size-based eviction
+console.log('\nExample 4: LRU Cache');
 class LRUCache {
-  constructor(capacity) {
+  // capacity: max number of entries
+  // options.maxSize: max total weight, measured by options.sizeOf(value)
+  // options.ttl: default time-to-live in ms (Infinity = never expires)
+  // options.onEvict(key, value, reason): reason is 'evicted', 'expired',
+  //   'deleted' or 'replaced'
+  constructor(capacity = Infinity, options = {}) {
     this.capacity = capacity;
-    this.cache = new Map();
+    this.maxSize = options.maxSize ?? Infinity;
+    this.sizeOf = options.sizeOf ?? (() => 1);
+    this.ttl = options.ttl ?? Infinity;
+    this.onEvict = options.onEvict ?? null;
+    this.now = options.now ?? Date.now; // Injectable clock
+    this.cache = new Map(); // key -> { value, size, expires }
+    this.totalSize = 0;
+    this.counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+
+  // Live entries only: expired ones are pruned before counting
+  get size() {
+    this.prune();
+    return this.cache.size;
   }
 
   get(key) {
-    if (!this.cache.has(key)) return undefined;
+    let entry = this._live(key);
+    if (!entry) {
+      this.counters.misses++;
+      return undefined;
+    }
 
     // Move to end (most recently used)
-    let value = this.cache.get(key);
     this.cache.delete(key);
-    this.cache.set(key, value);
-    return value;
+    this.cache.set(key, entry);
+    this.counters.hits++;
+    return entry.value;
   }
 
-  set(key, value) {
+  // Read without promoting the entry or touching the hit/miss counters
+  peek(key) {
+    let entry = this._live(key);
+    return entry ? entry.value : undefined;
+  }
+
+  has(key) {
+    return this._live(key) !== undefined;
+  }
+
+  set(key, value, { ttl = this.ttl } = {}) {
+    let size = this.sizeOf(value);
+    if (!(size >= 0)) {
+      throw new TypeError(`sizeOf() must return a non-negative number`);
+    }
+
     // Remove if exists
     if (this.cache.has(key)) {
-      this.cache.delete(key);
+      this._remove(key, 'replaced');
     }
 
-    // Remove oldest if at capacity
-    if (this.cache.size >= this.capacity) {
-      let firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-      console.log(`Evicted: ${firstKey}`);
+    // A value bigger than the whole cache would evict everything else
+    // and still not fit, so refuse it outright
+    if (size > this.maxSize) {
+      this.counters.evictions++;
+      this._notify(key, value, 'evicted');
+      return this;
     }
 
-    this.cache.set(key, value);
+    this.cache.set(key, { value, size, expires: this.now() + ttl });
+    this.totalSize += size;
+
+    // Remove oldest until both limits are satisfied
+    while (this.cache.size > this.capacity || this.totalSize > this.maxSize) {
+      let oldestKey = this.cache.keys().next().value;
+      this._remove(oldestKey, this._expired(oldestKey) ? 'expired' : 'evicted');
+    }
+    return this;
+  }
+
+  delete(key) {
+    if (!this.cache.has(key)) return false;
+    this._remove(key, 'deleted');
+    return true;
+  }
+
+  clear() {
+    for (let key of [...this.cache.keys()]) {
+      this._remove(key, 'deleted');
+    }
+  }
+
+  // Expiry is lazy; prune() sweeps every expired entry eagerly
+  prune() {
+    for (let key of [...this.cache.keys()]) {
+      if (this._expired(key)) this._remove(key, 'expired');
+    }
+  }
+
+  stats() {
+    let lookups = this.counters.hits + this.counters.misses;
+    return {
+      ...this.counters,
+      hitRate: lookups === 0 ? 0 : this.counters.hits / lookups,
+      entries: this.cache.size,
+      totalSize: this.totalSize,
+    };
+  }
+
+  // Iterates from least to most recently used, skipping expired entries.
+  // Iterating does not promote anything. Works over a snapshot of the keys,
+  // so entries deleted mid-iteration are skipped rather than yielded.
+  *entries() {
+    for (let key of [...this.cache.keys()]) {
+      if (this.cache.has(key) && !this._expired(key)) {
+        yield [key, this.cache.get(key).value];
+      }
+    }
+  }
+
+  *keys() {
+    for (let [key] of this.entries()) yield key;
+  }
+
+  *values() {
+    for (let [, value] of this.entries()) yield value;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
   }
 
   display() {
-    console.log('Cache contents:', [...this.cache.keys()]);
+    console.log('Cache contents:', [...this.keys()]);
+  }
+
+  // Returns the entry for key, dropping it first if it has expired
+  _live(key) {
+    if (!this.cache.has(key)) return undefined;
+    if (this._expired(key)) {
+      this._remove(key, 'expired');
+      return undefined;
+    }
+    return this.cache.get(key);
+  }
+
+  _expired(key) {
+    return this.cache.get(key).expires <= this.now();
+  }
+
+  _remove(key, reason) {
+    let entry = this.cache.get(key);
+    this.cache.delete(key);
+    this.totalSize -= entry.size;
+    if (reason === 'evicted') this.counters.evictions++;
+    if (reason === 'expired') this.counters.expirations++;
+    this._notify(key, entry.value, reason);
+  }
+
+  _notify(key, value, reason) {
+    if (this.onEvict) this.onEvict(key, value, reason);
   }
 }
 
-let lru = new LRUCache(3);
+let lru = new LRUCache(3, {
+  onEvict: (key, value, reason) => console.log(`Evicted: ${key} (${reason})`),
+});
 lru.set('a', 1);
 lru.set('b', 2);
 lru.set('c', 3);
@@ -307,18 +872,90 @@ lru.display();
 lru.get('b'); // Move "b" to end
 lru.set('e', 5); // Should evict "c"
 lru.display();
+console.log("peek('d'):", lru.peek('d')); // Does not promote "d"
+lru.set('f', 6); // Still evicts "d"
+lru.display();
+console.log("get('zzz'):", lru.get('zzz')); // Miss
+console.log('Stats:', lru.stats());
+
+// TTL expiry, using a fake clock so the demo runs instantly
+console.log('\nTTL expiry:');
+let clock = 0;
+let responses = new LRUCache(Infinity, {
+  ttl: 1000,
+  now: () => clock,
+  onEvict: (key, value, reason) => console.log(`Evicted: ${key} (${reason})`),
+});
+responses.set('/users', '[...]');
+responses.set('/health', 'ok', { ttl: 100 }); // Per-entry TTL
+clock = 500;
+console.log('size at 500ms:', responses.size);
+console.log("has('/health') at 500ms:", responses.has('/health'));
+console.log("get('/users') at 500ms:", responses.get('/users'));
+clock = 1500;
+console.log("get('/users') at 1500ms:", responses.get('/users'));
+
+// Size-based eviction: weigh entries by string length
+console.log('\nSize-based eviction:');
+let pages = new LRUCache(Infinity, {
+  maxSize: 20,
+  sizeOf: (html) => html.length,
+  onEvict: (key, value, reason) => console.log(`Evicted: ${key} (${reason})`),
+});
+pages.set('home', '<h1>Home</h1>'); // 13
+pages.set('about', '<p>Us</p>'); // 9, total 22 > 20: evicts "home"
+console.log('Entries:', [...pages]);
+console.log('Total size:', pages.stats().totalSize);
 
 // Example 5: Two-way lookup
 console.log('\nExample 5: Bidirectional map');
+
+// A strict one-to-one map: every value belongs to exactly one key.
+// Re-binding a key just moves it to the new value (like Map.set), but
+// binding a value that another key already owns is a conflict, handled
+// by the onConflict policy:
+//   'throw'     - refuse the set() (default)
+//   'overwrite' - remove the other key so the new pair wins
 class BiMap {
-  constructor() {
+  constructor(entries = [], { onConflict = 'throw' } = {}) {
+    if (onConflict !== 'throw' && onConflict !== 'overwrite') {
+      throw new TypeError(`Unknown conflict policy: ${onConflict}`);
+    }
     this.keyToValue = new Map();
     this.valueToKey = new Map();
+    this.onConflict = onConflict;
+    this._inverse = null;
+
+    for (let [key, value] of entries) {
+      this.set(key, value);
+    }
   }
 
   set(key, value) {
+    if (this.valueToKey.has(value)) {
+      let owner = this.valueToKey.get(value);
+      if (Object.is(owner, key)) return this; // Same pair, nothing to do
+
+      if (this.onConflict === 'throw') {
+        throw new Error(
+          `Value ${String(value)} is already bound to key ${String(owner)}`
+        );
+      }
+      this.keyToValue.delete(owner);
+    }
+
+    // Drop the stale reverse entry if this key had another value
+    if (this.keyToValue.has(key)) {
+      this.valueToKey.delete(this.keyToValue.get(key));
+    }
+
     this.keyToValue.set(key, value);
     this.valueToKey.set(value, key);
+    return this;
+  }
+
+  get(key) {
+    return this.keyToValue.get(key);
   }
 
   getByKey(key) {
@@ -328,6 +965,87 @@ class BiMap {
   getByValue(value) {
     return this.valueToKey.get(value);
   }
+
+  has(key) {
+    return this.keyToValue.has(key);
+  }
+
+  hasValue(value) {
+    return this.valueToKey.has(value);
+  }
+
+  delete(key) {
+    return this.deleteByKey(key);
+  }
+
+  deleteByKey(key) {
+    if (!this.keyToValue.has(key)) return false;
+    this.valueToKey.delete(this.keyToValue.get(key));
+    this.keyToValue.delete(key);
+    return true;
+  }
+
+  deleteByValue(value) {
+    if (!this.valueToKey.has(value)) return false;
+    this.keyToValue.delete(this.valueToKey.get(value));
+    this.valueToKey.delete(value);
+    return true;
+  }
+
+  clear() {
+    this.keyToValue.clear();
+    this.valueToKey.clear();
+  }
+
+  get size() {
+    return this.keyToValue.size;
+  }
+
+  // A live view with keys and values swapped. It shares the underlying
+  // maps, so changes through either side show up in both.
+  inverse() {
+    if (!this._inverse) {
+      let inverse = Object.create(BiMap.prototype);
+      inverse.keyToValue = this.valueToKey;
+      inverse.valueToKey = this.keyToValue;
+      inverse.onConflict = this.onConflict;
+      inverse._inverse = this;
+      this._inverse = inverse;
+    }
+    return this._inverse;
+  }
+
+  keys() {
+    return this.keyToValue.keys();
+  }
+
+  values() {
+    return this.keyToValue.values();
+  }
+
+  entries() {
+    return this.keyToValue.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.keyToValue.entries();
+  }
+
+  forEach(callback, thisArg) {
+    for (let [key, value] of this) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+
+  // Serialized as an array of pairs so non-string keys survive
+  toJSON() {
+    return [...this.keyToValue];
+  }
+
+  static fromJSON(json, options) {
+    let entries = typeof json === 'string' ? JSON.parse(json) : json;
+    return new BiMap(entries, options);
+  }
 }
 
 let countries = new BiMap();
@@ -338,6 +1056,167 @@ countries.set('FR', 'France');
 console.log('Code to name:', countries.getByKey('US'));
 console.log('Name to code:', countries.getByValue('France'));
 
+// One-to-one enforcement
+try {
+  countries.set('GB', 'United Kingdom');
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
+let locales = new BiMap([], { onConflict: 'overwrite' });
+locales.set('US', 'en-US');
+locales.set('CA', 'en-US'); // Takes en-US away from US
+console.log("\nAfter set('CA', 'en-US') with overwrite:");
+console.log("getByKey('US'):", locales.getByKey('US')); // undefined
+console.log("getByValue('en-US'):", locales.getByValue('en-US')); // CA
+
+// Deletion, size and iteration
+countries.deleteByValue('France');
+console.log('\nAfter deleteByValue(France), size:', countries.size);
+console.log('Entries:', [...countries]);
+
+// Live inverse view
+let byName = countries.inverse();
+byName.set('Germany', 'DE');
+console.log("\ninverse().get('United States'):", byName.get('United States'));
+console.log(
+  "countries.get('DE') after adding via inverse:",
+  countries.get('DE')
+);
+
+// JSON round trip
+let json = JSON.stringify(countries);
+console.log('\nJSON:', json);
+let restored = BiMap.fromJSON(json);
+console.log("Restored getByValue('Germany'):", restored.getByValue('Germany'));
+
+// Example 6: Async memoization on top of LRUCache
+console.log('\nExample 6: Async memoization (output appears at the end)');
+
+// Caches the *promise*, not the result, so concurrent calls with the same
+// arguments share one in-flight request. Rejected promises are dropped so
+// the next call retries.
+//
+// Every call, whatever its arguments, is one entry in the LRUCache, so
+// capacity and TTL bound the whole memo. Object (and symbol) arguments are
+// keyed by an id handed out through a WeakMap: the key is just a string,
+// so a cached entry never keeps its argument objects alive.
+function memoizeAsync(fn, { cache = new LRUCache(100), keyFn, ttl } = {}) {
+  let ids = new WeakMap();
+  let nextId = 0;
+
+  function identity(x) {
+    if (!ids.has(x)) ids.set(x, nextId++);
+    return ids.get(x);
+  }
+
+  // One tagged token per argument, so 1 and '1', null and undefined,
+  // or 1n and 1 never produce the same key
+  function token(arg) {
+    switch (typeof arg) {
+      case 'undefined':
+        return 'u';
+      case 'string':
+        return 's' + JSON.stringify(arg);
+      case 'number':
+        return 'd' + String(arg);
+      case 'boolean':
+        return 'b' + String(arg);
+      case 'bigint':
+        return 'i' + String(arg);
+      case 'symbol':
+        // Registered symbols (Symbol.for) can't be WeakMap keys
+        return Symbol.keyFor(arg) !== undefined
+          ? 'r' + JSON.stringify(Symbol.keyFor(arg))
+          : 'y' + identity(arg);
+      default:
+        return arg === null ? 'l' : 'o' + identity(arg);
+    }
+  }
+
+  function memoized(...args) {
+    let key = keyFn ? keyFn(...args) : args.map(token).join(',');
+    let cached = cache.get(key);
+    if (cached) return cached;
+
+    let promise = Promise.resolve().then(() => fn.apply(this, args));
+    cache.set(key, promise, { ttl });
+    promise.catch(() => {
+      if (cache.peek(key) === promise) cache.delete(key);
+    });
+    return promise;
+  }
+
+  memoized.cache = cache;
+  return memoized;
+}
+
+async function demoMemoizeAsync() {
+  console.log('\n--- Example 6 output: memoizeAsync ---');
+
+  let calls = 0;
+  let fetchUser = memoizeAsync(
+    async (id) => {
+      calls++;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return { id, name: `User ${id}` };
+    },
+    { ttl: 60000 }
+  );
+
+  // Three concurrent calls, two distinct keys
+  let results = await Promise.all([fetchUser(1), fetchUser(1), fetchUser(2)]);
+  console.log('Results:', results);
+  console.log('Underlying calls:', calls); // 2
+  console.log('Same object for both id 1?', results[0] === results[1]);
+  await fetchUser(1);
+  console.log('Calls after another fetchUser(1):', calls); // Still 2
+
+  // Failures are not cached
+  let attempts = 0;
+  let flaky = memoizeAsync(async () => {
+    attempts++;
+    if (attempts === 1) throw new Error('Network down');
+    return 'ok';
+  });
+  try {
+    await flaky();
+  } catch (e) {
+    console.log('First attempt failed:', e.message);
+  }
+  console.log('Second attempt:', await flaky(), `(attempts: ${attempts})`);
+
+  // Object arguments are keyed by identity, not by contents
+  let measured = 0;
+  let measure = memoizeAsync(async (element) => {
+    measured++;
+    return element.id.length * 10;
+  });
+  let node = { id: 'header' };
+  console.log('measure(node):', await measure(node));
+  console.log('measure(node) again:', await measure(node));
+  console.log('measure({ id: "header" }):', await measure({ id: 'header' }));
+  console.log('Underlying measurements:', measured); // 2 (different objects)
+  console.log('LRU entries used by object calls:', measure.cache.size); // 2
+
+  // Arguments that JSON would have confused stay apart
+  let describe = memoizeAsync(async (...args) => args.map(String).join(' '));
+  console.log(
+    'Distinct keys:',
+    await Promise.all([
+      describe(null),
+      describe(undefined),
+      describe(1n),
+      describe(1),
+      describe('1'),
+    ])
+  );
+  console.log('Entries:', describe.cache.size); // 5
+}
+
+// Run once the synchronous examples have finished logging
+Promise.resolve().then(demoMemoizeAsync);
+
 console.log('\n=== 9. MAP VS OBJECT ===\n');
 
 console.log('Map advantages:');
@@ -203,12 +203,436 @@ console.log('Difference (A-B):', [...difference]);
 
 // Example 4: Track unique visitors
 console.log('\nExample 4: Unique visitors');
-let visitors = new Set();
+
+// A Set remembers every id, so memory grows with traffic. The sketches
+// below trade a small, bounded error for fixed memory:
+//   HyperLogLog    - how many distinct visitors?
+//   CountMinSketch - how often has this visitor come? who are the top k?
+//   BloomFilter    - have we seen this visitor before? (no false "no"s)
+
+let utf8 = new TextEncoder();
+
+// MurmurHash3 (x86, 32-bit) of a string
+function murmur3(key, seed = 0) {
+  let bytes = utf8.encode(String(key));
+  let h = seed >>> 0;
+  let mix = (k) => {
+    k = Math.imul(k, 0xcc9e2d51);
+    k = (k << 15) | (k >>> 17);
+    return Math.imul(k, 0x1b873593);
+  };
+
+  let i = 0;
+  for (; i + 4 <= bytes.length; i += 4) {
+    h ^= mix(
+      bytes[i] |
+        (bytes[i + 1] << 8) |
+        (bytes[i + 2] << 16) |
+        (bytes[i + 3] << 24)
+    );
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  let tail = 0;
+  let remaining = bytes.length & 3;
+  if (remaining === 3) tail ^= bytes[i + 2] << 16;
+  if (remaining >= 2) tail ^= bytes[i + 1] << 8;
+  if (remaining >= 1) h ^= mix(tail ^ bytes[i]);
+
+  h ^= bytes.length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// k bucket indexes from two hashes (Kirsch-Mitzenmacher)
+function hashIndexes(item, count, range) {
+  let h1 = murmur3(item, 0);
+  let h2 = (murmur3(item, h1) | 1) >>> 0;
+  let indexes = [];
+  for (let i = 0; i < count; i++) {
+    indexes.push((h1 + i * h2) % range);
+  }
+  return indexes;
+}
+
+// Every sketch buffer starts with a type byte and a format version
+const SKETCH_FORMAT_VERSION = 1;
+
+function sketchView(buffer, type, name, minLength) {
+  let bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (bytes.length < 2) throw new RangeError(`Truncated ${name} buffer`);
+  if (bytes[0] !== type.charCodeAt(0)) {
+    throw new TypeError(`Not a ${name} buffer`);
+  }
+  if (bytes[1] !== SKETCH_FORMAT_VERSION) {
+    throw new TypeError(`Unsupported ${name} format version: ${bytes[1]}`);
+  }
+  if (bytes.length < minLength)
+    throw new RangeError(`Truncated ${name} buffer`);
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+class HyperLogLog {
+  // 2^precision one-byte registers; standard error ≈ 1.04 / √(2^precision)
+  constructor(precision = 14) {
+    if (!Number.isInteger(precision) || precision < 4 || precision > 16) {
+      throw new RangeError(
+        `HyperLogLog precision must be 4-16, got ${precision}`
+      );
+    }
+    this.precision = precision;
+    this.registers = new Uint8Array(1 << precision);
+  }
+
+  add(item) {
+    let hash = murmur3(item);
+    let index = hash >>> (32 - this.precision);
+    let rest = (hash << this.precision) >>> 0;
+    let rank = Math.min(Math.clz32(rest) + 1, 32 - this.precision + 1);
+    if (rank > this.registers[index]) this.registers[index] = rank;
+    return this;
+  }
+
+  count() {
+    let m = this.registers.length;
+    let sum = 0;
+    let zeros = 0;
+    for (let register of this.registers) {
+      sum += 2 ** -register;
+      if (register === 0) zeros++;
+    }
+
+    let alpha =
+      m === 16
+        ? 0.673
+        : m === 32
+          ? 0.697
+          : m === 64
+            ? 0.709
+            : 0.7213 / (1 + 1.079 / m);
+    let estimate = (alpha * m * m) / sum;
+
+    if (estimate <= 2.5 * m && zeros > 0) {
+      estimate = m * Math.log(m / zeros); // Small-range correction
+    } else if (estimate > 2 ** 32 / 30) {
+      estimate = -(2 ** 32) * Math.log(1 - estimate / 2 ** 32);
+    }
+    return Math.round(estimate);
+  }
+
+  get standardError() {
+    return 1.04 / Math.sqrt(this.registers.length);
+  }
+
+  // Counts the union: merging per-server counters is exact in HLL terms
+  merge(other) {
+    if (other.precision !== this.precision) {
+      throw new RangeError(
+        'Cannot merge HyperLogLogs with different precision'
+      );
+    }
+    for (let i = 0; i < this.registers.length; i++) {
+      this.registers[i] = Math.max(this.registers[i], other.registers[i]);
+    }
+    return this;
+  }
+
+  // [type 'H', version, precision, registers...]
+  toBuffer() {
+    let bytes = new Uint8Array(3 + this.registers.length);
+    bytes.set([72, SKETCH_FORMAT_VERSION, this.precision]);
+    bytes.set(this.registers, 3);
+    return bytes;
+  }
+
+  static fromBuffer(buffer) {
+    let view = sketchView(buffer, 'H', 'HyperLogLog', 3);
+    let hll = new HyperLogLog(view.getUint8(2));
+    if (view.byteLength < 3 + hll.registers.length) {
+      throw new RangeError('Truncated HyperLogLog buffer');
+    }
+    hll.registers.set(
+      new Uint8Array(view.buffer, view.byteOffset + 3, hll.registers.length)
+    );
+    return hll;
+  }
+}
+
+class CountMinSketch {
+  // Estimates overshoot by at most epsilon × total with probability
+  // 1 - delta. With topK > 0 the k heaviest items are tracked as well.
+  constructor({ epsilon = 0.001, delta = 0.01, width, depth, topK = 0 } = {}) {
+    this.width = width ?? Math.ceil(Math.E / epsilon);
+    this.depth = depth ?? Math.ceil(Math.log(1 / delta));
+    this.table = new Uint32Array(this.width * this.depth);
+    this.total = 0;
+    this.topKSize = topK;
+    this.heavy = new Map(); // item -> estimated count
+  }
+
+  _cells(item) {
+    return hashIndexes(item, this.depth, this.width).map(
+      (column, row) => row * this.width + column
+    );
+  }
+
+  add(item, count = 1) {
+    let estimate = Infinity;
+    for (let cell of this._cells(item)) {
+      this.table[cell] += count;
+      estimate = Math.min(estimate, this.table[cell]);
+    }
+    this.total += count;
+    this._track(String(item), estimate);
+    return this;
+  }
+
+  estimate(item) {
+    return Math.min(...this._cells(item).map((cell) => this.table[cell]));
+  }
+
+  _track(item, estimate) {
+    if (this.topKSize === 0) return;
+    if (this.heavy.has(item) || this.heavy.size < this.topKSize) {
+      this.heavy.set(item, estimate);
+      return;
+    }
+    let [lightest, lowest] = [...this.heavy].reduce((a, b) =>
+      b[1] < a[1] ? b : a
+    );
+    if (estimate > lowest) {
+      this.heavy.delete(lightest);
+      this.heavy.set(item, estimate);
+    }
+  }
+
+  topK() {
+    return [...this.heavy]
+      .map(([item, count]) => ({ item, count }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  merge(other) {
+    if (other.width !== this.width || other.depth !== this.depth) {
+      throw new RangeError('Cannot merge CountMinSketches of different sizes');
+    }
+    for (let i = 0; i < this.table.length; i++) {
+      this.table[i] += other.table[i];
+    }
+    this.total += other.total;
+    // Re-rank the candidates from both sides against the merged table
+    let candidates = new Set([...this.heavy.keys(), ...other.heavy.keys()]);
+    this.heavy.clear();
+    for (let item of candidates) this._track(item, this.estimate(item));
+    return this;
+  }
+
+  // [type 'C', version, width u32, depth u8, topK u16, total f64,
+  //  table u32..., candidate count u16, (length u16, utf-8 bytes)...]
+  toBuffer() {
+    let names = [...this.heavy.keys()].map((item) => utf8.encode(item));
+    let size =
+      18 +
+      this.table.length * 4 +
+      2 +
+      names.reduce((n, b) => n + 2 + b.length, 0);
+    let bytes = new Uint8Array(size);
+    let view = new DataView(bytes.buffer);
+    bytes.set([67, SKETCH_FORMAT_VERSION]);
+    view.setUint32(2, this.width);
+    view.setUint8(6, this.depth);
+    view.setUint16(7, this.topKSize);
+    view.setFloat64(9, this.total);
+    let offset = 17;
+    for (let value of this.table) {
+      view.setUint32(offset, value);
+      offset += 4;
+    }
+    view.setUint16(offset, names.length);
+    offset += 2;
+    for (let name of names) {
+      view.setUint16(offset, name.length);
+      bytes.set(name, offset + 2);
+      offset += 2 + name.length;
+    }
+    return bytes.subarray(0, offset);
+  }
+
+  static fromBuffer(buffer) {
+    let view = sketchView(buffer, 'C', 'CountMinSketch', 17);
+    let sketch = new CountMinSketch({
+      width: view.getUint32(2),
+      depth: view.getUint8(6),
+      topK: view.getUint16(7),
+    });
+    sketch.total = view.getFloat64(9);
+
+    let need = (offset, length) => {
+      if (offset + length > view.byteLength) {
+        throw new RangeError('Truncated CountMinSketch buffer');
+      }
+    };
+    let offset = 17;
+    need(offset, sketch.table.length * 4 + 2);
+    for (let i = 0; i < sketch.table.length; i++, offset += 4) {
+      sketch.table[i] = view.getUint32(offset);
+    }
+    let candidates = view.getUint16(offset);
+    offset += 2;
+    let decoder = new TextDecoder();
+    for (let i = 0; i < candidates; i++) {
+      need(offset, 2);
+      let length = view.getUint16(offset);
+      need(offset + 2, length);
+      let item = decoder.decode(
+        new Uint8Array(view.buffer, view.byteOffset + offset + 2, length)
+      );
+      sketch.heavy.set(item, sketch.estimate(item));
+      offset += 2 + length;
+    }
+    return sketch;
+  }
+}
+
+class BloomFilter {
+  // Sized for `capacity` items at the given false-positive rate
+  constructor({ capacity = 1000, errorRate = 0.01, size, hashes } = {}) {
+    this.size =
+      size ?? Math.ceil((-capacity * Math.log(errorRate)) / Math.LN2 ** 2);
+    this.hashes =
+      hashes ?? Math.max(1, Math.round((this.size / capacity) * Math.LN2));
+    this.bits = new Uint8Array(Math.ceil(this.size / 8));
+  }
+
+  add(item) {
+    for (let bit of hashIndexes(item, this.hashes, this.size)) {
+      this.bits[bit >>> 3] |= 1 << (bit & 7);
+    }
+    return this;
+  }
+
+  // false means definitely not added; true means probably added
+  has(item) {
+    return hashIndexes(item, this.hashes, this.size).every(
+      (bit) => (this.bits[bit >>> 3] & (1 << (bit & 7))) !== 0
+    );
+  }
+
+  merge(other) {
+    if (other.size !== this.size || other.hashes !== this.hashes) {
+      throw new RangeError('Cannot merge BloomFilters of different shapes');
+    }
+    this.bits.forEach((byte, i) => (this.bits[i] = byte | other.bits[i]));
+    return this;
+  }
+
+  // [type 'B', version, size u32, hashes u8, bits...]
+  toBuffer() {
+    let bytes = new Uint8Array(7 + this.bits.length);
+    let view = new DataView(bytes.buffer);
+    bytes.set([66, SKETCH_FORMAT_VERSION]);
+    view.setUint32(2, this.size);
+    view.setUint8(6, this.hashes);
+    bytes.set(this.bits, 7);
+    return bytes;
+  }
+
+  static fromBuffer(buffer) {
+    let view = sketchView(buffer, 'B', 'BloomFilter', 7);
+    let filter = new BloomFilter({
+      size: view.getUint32(2),
+      hashes: view.getUint8(6),
+    });
+    if (view.byteLength < 7 + filter.bits.length) {
+      throw new RangeError('Truncated BloomFilter buffer');
+    }
+    filter.bits.set(
+      new Uint8Array(view.buffer, view.byteOffset + 7, filter.bits.length)
+    );
+    return filter;
+  }
+}
+
+// Two interchangeable backends for recordVisit()
+class ExactVisitorCounter {
+  constructor() {
+    this.visitors = new Set();
+    this.counts = new Map();
+  }
+
+  // Returns whether the visitor had been seen before
+  record(id) {
+    let seen = this.visitors.has(id);
+    this.visitors.add(id);
+    this.counts.set(id, (this.counts.get(id) ?? 0) + 1);
+    return seen;
+  }
+
+  get unique() {
+    return this.visitors.size;
+  }
+
+  top(k) {
+    return [...this.counts]
+      .map(([item, count]) => ({ item, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, k);
+  }
+}
+
+class SketchVisitorCounter {
+  constructor({
+    precision = 12,
+    topK = 10,
+    capacity = 100000,
+    errorRate = 0.01,
+  } = {}) {
+    this.distinct = new HyperLogLog(precision);
+    this.frequency = new CountMinSketch({ epsilon: 0.0005, topK });
+    this.seen = new BloomFilter({ capacity, errorRate });
+  }
+
+  record(id) {
+    let seen = this.seen.has(id);
+    this.distinct.add(id);
+    this.frequency.add(id);
+    this.seen.add(id);
+    return seen;
+  }
+
+  get unique() {
+    return this.distinct.count();
+  }
+
+  top(k) {
+    return this.frequency.topK().slice(0, k);
+  }
+
+  get byteLength() {
+    return (
+      this.distinct.registers.byteLength +
+      this.frequency.table.byteLength +
+      this.seen.bits.byteLength
+    );
+  }
+}
+
+let visitorCounter = new ExactVisitorCounter();
+let visitors = visitorCounter.visitors;
+
+function useVisitorCounter(counter) {
+  visitorCounter = counter;
+}
 
 function recordVisit(userId) {
-  visitors.add(userId);
+  let returning = visitorCounter.record(userId);
   console.log(
-    `User ${userId} visited. Total unique visitors: ${visitors.size}`
+    `User ${userId} visited${returning ? ' again' : ''}. Total unique visitors: ${visitorCounter.unique}`
   );
 }
 
@@ -218,6 +642,68 @@ recordVisit('user1'); // Duplicate
 recordVisit('user3');
 console.log('All unique visitors:', [...visitors]);
 
+useVisitorCounter(new SketchVisitorCounter());
+console.log('\nSwitched to the sketch backend:');
+recordVisit('user1');
+recordVisit('user1');
+
+// Simulated traffic: 200,000 visits from 50,000 ids, a few of them heavy
+let seed = 42;
+let random = () =>
+  (seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0) / 2 ** 32;
+let exact = new ExactVisitorCounter();
+let sketch = new SketchVisitorCounter();
+for (let i = 0; i < 200000; i++) {
+  let id = `user${Math.floor(50000 * random() ** 3)}`; // Skewed towards low ids
+  exact.record(id);
+  sketch.record(id);
+}
+console.log('\nExact unique:', exact.unique, '| HyperLogLog:', sketch.unique);
+console.log(
+  'Relative error:',
+  `${((Math.abs(sketch.unique - exact.unique) / exact.unique) * 100).toFixed(2)}%`,
+  `(expected ±${(sketch.distinct.standardError * 100).toFixed(1)}%)`
+);
+console.log(
+  'Exact top 3:  ',
+  exact
+    .top(3)
+    .map(({ item, count }) => `${item}=${count}`)
+    .join(' ')
+);
+console.log(
+  'Sketch top 3: ',
+  sketch
+    .top(3)
+    .map(({ item, count }) => `${item}=${count}`)
+    .join(' ')
+);
+console.log('Sketch memory:', sketch.byteLength, 'bytes, whatever the traffic');
+console.log(
+  'Seen user7?',
+  sketch.seen.has('user7'),
+  '| seen nobody?',
+  sketch.seen.has('nobody')
+);
+
+// Per-server counters merge, and every sketch survives a round trip
+let serverA = new HyperLogLog(12);
+let serverB = new HyperLogLog(12);
+for (let i = 0; i < 3000; i++) serverA.add(`a${i}`);
+for (let i = 0; i < 3000; i++) serverB.add(i < 1000 ? `a${i}` : `b${i}`);
+let both = HyperLogLog.fromBuffer(serverA.toBuffer()).merge(serverB);
+console.log('\nMerged HyperLogLog (5000 distinct):', both.count());
+
+let restoredCms = CountMinSketch.fromBuffer(sketch.frequency.toBuffer());
+let restoredBloom = BloomFilter.fromBuffer(sketch.seen.toBuffer());
+console.log('CountMinSketch restored top 1:', restoredCms.topK()[0]);
+console.log('BloomFilter restored, seen user7?', restoredBloom.has('user7'));
+try {
+  HyperLogLog.fromBuffer(restoredBloom.toBuffer());
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
 // Example 5: Valid characters in password
 console.log('\nExample 5: Password validation');
 function hasValidChars(password) {
@@ -232,15 +718,214 @@ console.log("hasValidChars('Hello<script>'):", hasValidChars('Hello<script>'));
 
 // Example 6: Count unique words
 console.log('\nExample 6: Unique word counter');
-function countUniqueWords(text) {
-  let words = text.toLowerCase().match(/\b\w+\b/g) || [];
-  return new Set(words).size;
+
+// /\b\w+\b/ only knows [A-Za-z0-9_], so "café" splits in two and
+// Bengali or Japanese text has no words at all. Intl.Segmenter knows
+// each language's word boundaries.
+const STOP_WORDS = {
+  en: new Set(
+    'a an and are as at be but by for from has he in is it its of on or that the to was were will with very'.split(
+      ' '
+    )
+  ),
+  bn: new Set(['আমি', 'তুমি', 'সে', 'এবং', 'ও', 'এই', 'যে', 'না']),
+};
+
+// A deliberately light English stemmer, as an example stemming hook.
+// A doubled letter is only undoubled once "ing" or "ed" came off
+// ("running" → "runn" → "run"), so "class", "add" and "free" keep
+// theirs. Those suffixes already swallow a final "e" ("making"), so the
+// other forms drop it too: "value", "values" and "valued" meet at "valu".
+function englishStem(word) {
+  let stem = word
+    .replace(/(?<=..)ies$/, 'y')
+    .replace(/(?<=..)(?<![su])s$/, '');
+  let base = stem.replace(/(?<=...)(ing|ed)$/, '');
+  if (base !== stem) return base.replace(/(?<=.)([^aeiouylsz])\1$/, '$1');
+  return stem.replace(/(?<=..)e$/, '');
+}
+
+// Options shared by tokenize(), countUniqueWords() and Corpus:
+//   locale    - segmentation and lowercasing rules (default 'en')
+//   stopWords - a Set/array, true for the locale's built-in list, or false
+//   stem      - (word, locale) => stem, applied after lowercasing
+function tokenize(text, { locale = 'en', stopWords = false, stem } = {}) {
+  let segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+  let stops =
+    stopWords === true
+      ? (STOP_WORDS[new Intl.Locale(locale).language] ?? new Set())
+      : new Set(stopWords || []);
+
+  let tokens = [];
+  for (let { segment, isWordLike } of segmenter.segment(
+    text.normalize('NFC')
+  )) {
+    if (!isWordLike) continue;
+    let word = segment.toLocaleLowerCase(locale);
+    if (stops.has(word)) continue;
+    tokens.push(stem ? stem(word, locale) : word);
+  }
+  return tokens;
+}
+
+// Sliding windows of n items: ngrams(['a', 'b', 'c'], 2) → ['a b', 'b c']
+function ngrams(items, n = 2, separator = ' ') {
+  let grams = [];
+  for (let i = 0; i + n <= items.length; i++) {
+    grams.push(items.slice(i, i + n).join(separator));
+  }
+  return grams;
+}
+
+function countUniqueWords(text, options) {
+  return new Set(tokenize(text, options)).size;
 }
 
 let text =
   'The quick brown fox jumps over the lazy dog. The dog was very lazy.';
 console.log('Text:', text);
 console.log('Unique words:', countUniqueWords(text));
+console.log('Without stop words:', countUniqueWords(text, { stopWords: true }));
+
+let bengali = 'আমি বাংলায় গান গাই, আমি বাংলার গান গাই।';
+console.log('\nBengali text:', bengali);
+console.log('Old regex found:', bengali.match(/\b\w+\b/g)); // null
+console.log('Segmented words:', tokenize(bengali, { locale: 'bn' }));
+console.log('Unique words:', countUniqueWords(bengali, { locale: 'bn' }));
+
+let french = 'Le café du coin sert des cafés crème.';
+console.log('\nFrench words:', tokenize(french, { locale: 'fr' }));
+
+let stemmed = tokenize('Running runners ran; the runner runs daily', {
+  stopWords: true,
+  stem: englishStem,
+});
+console.log('\nStemmed:', stemmed);
+console.log('Bigrams:', ngrams(tokenize('to be or not to be'), 2));
+console.log('Character trigrams:', ngrams([...'lazy'], 3, ''));
+
+// TF-IDF over a small set of documents, for ranking search results.
+// Each document becomes a vector of term weights: frequent in this
+// document (tf) but rare across the corpus (idf).
+class Corpus {
+  constructor(options = {}) {
+    this.options = { stopWords: true, ...options };
+    this.documents = new Map(); // id -> Map(term -> count)
+    this.documentFrequency = new Map(); // term -> number of documents
+  }
+
+  // n-gram ranges such as { ngrams: [1, 2] } add phrases as terms
+  _terms(text) {
+    let tokens = tokenize(text, this.options);
+    let [min, max] = this.options.ngrams ?? [1, 1];
+    let terms = [];
+    for (let n = min; n <= max; n++) terms.push(...ngrams(tokens, n));
+    return terms;
+  }
+
+  add(id, text) {
+    if (this.documents.has(id)) this.remove(id);
+    let counts = new Map();
+    for (let term of this._terms(text)) {
+      counts.set(term, (counts.get(term) ?? 0) + 1);
+    }
+    for (let term of counts.keys()) {
+      this.documentFrequency.set(
+        term,
+        (this.documentFrequency.get(term) ?? 0) + 1
+      );
+    }
+    this.documents.set(id, counts);
+    return this;
+  }
+
+  remove(id) {
+    let counts = this.documents.get(id);
+    if (!counts) return false;
+    for (let term of counts.keys()) {
+      let df = this.documentFrequency.get(term) - 1;
+      if (df === 0) this.documentFrequency.delete(term);
+      else this.documentFrequency.set(term, df);
+    }
+    return this.documents.delete(id);
+  }
+
+  // Smoothed idf, so terms found in every document still count a little
+  idf(term) {
+    let n = this.documents.size;
+    return (
+      Math.log((1 + n) / (1 + (this.documentFrequency.get(term) ?? 0))) + 1
+    );
+  }
+
+  _weigh(counts) {
+    let total = [...counts.values()].reduce((a, b) => a + b, 0);
+    let vector = new Map();
+    for (let [term, count] of counts) {
+      vector.set(term, (count / total) * this.idf(term));
+    }
+    return vector;
+  }
+
+  vector(id) {
+    let counts = this.documents.get(id);
+    if (!counts) throw new RangeError(`Unknown document: ${id}`);
+    return this._weigh(counts);
+  }
+
+  static cosine(a, b) {
+    let dot = 0;
+    for (let [term, weight] of a) dot += weight * (b.get(term) ?? 0);
+    let norm = (v) =>
+      Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+    let denominator = norm(a) * norm(b);
+    return denominator === 0 ? 0 : dot / denominator;
+  }
+
+  similarity(idA, idB) {
+    return Corpus.cosine(this.vector(idA), this.vector(idB));
+  }
+
+  // Documents ranked by cosine similarity to the query
+  search(query, { limit = 5 } = {}) {
+    let counts = new Map();
+    for (let term of this._terms(query)) {
+      counts.set(term, (counts.get(term) ?? 0) + 1);
+    }
+    let queryVector = this._weigh(counts);
+    return [...this.documents.keys()]
+      .map((id) => ({ id, score: Corpus.cosine(queryVector, this.vector(id)) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+let docs = new Corpus({ stem: englishStem, ngrams: [1, 2] });
+docs.add(
+  'maps',
+  'A Map keeps keys in insertion order and accepts any key type.'
+);
+docs.add(
+  'sets',
+  'A Set stores unique values; adding a duplicate value does nothing.'
+);
+docs.add(
+  'weak',
+  'WeakMap keys must be objects, and entries vanish with their keys.'
+);
+docs.add('arrays', 'Arrays keep values in order and allow duplicate values.');
+
+console.log('\nCorpus search "duplicate values":');
+for (let { id, score } of docs.search('duplicate values')) {
+  console.log(`  ${id}: ${score.toFixed(3)}`);
+}
+console.log(
+  'similarity(sets, arrays):',
+  docs.similarity('sets', 'arrays').toFixed(3),
+  '| similarity(sets, weak):',
+  docs.similarity('sets', 'weak').toFixed(3)
+);
 
 console.log('\n=== 8. CONVERTING BETWEEN SET AND ARRAY ===\n');
 
@@ -355,43 +355,425 @@ console.log('\n=== 14. MEMORY LEAK PREVENTION EXAMPLE ===\n');
 
 console.log('Scenario: Event listeners with associated data');
 
+// All emitter state lives here, keyed by the emitter itself. When an
+// emitter is dropped, its listeners and their metadata go with it.
 let listenerData = new WeakMap();
 
-class EventManager {
-  constructor() {
-    this.listeners = [];
+// Event names are dot-namespaced ("order.created"). Listener patterns
+// may use `*` for one segment ("order.*") and `**` for any number of
+// segments ("order.**"). Pattern listeners receive the event name as
+// their first argument, since they can't otherwise tell events apart.
+class EventEmitter {
+  constructor({ maxListeners = EventEmitter.defaultMaxListeners } = {}) {
+    listenerData.set(this, {
+      createdAt: new Date(),
+      listeners: [], // { pattern, matcher, listener, priority, once, ... }
+      maxListeners,
+      warned: new Set(),
+      sequence: 0,
+    });
   }
 
-  addListener(element, handler) {
-    this.listeners.push({ element, handler });
+  static _matcher(pattern) {
+    if (!pattern.includes('*')) return (name) => name === pattern;
+    let source = pattern
+      .split('.')
+      .map((part) =>
+        part === '**'
+          ? '.*'
+          : part === '*'
+            ? '[^.]+'
+            : part.replace(/[$()+?[\\\]^{|}]/g, '\\$&')
+      )
+      .join('\\.');
+    let regexp = new RegExp(`^${source}$`);
+    return (name) => regexp.test(name);
+  }
 
-    // Store additional data without memory leak
-    listenerData.set(element, {
+  on(pattern, listener, { priority = 0, once = false, signal } = {}) {
+    if (typeof listener !== 'function') {
+      throw new TypeError(`Listener for "${pattern}" must be a function`);
+    }
+    if (signal?.aborted) return this;
+
+    let data = listenerData.get(this);
+    let record = {
+      pattern,
+      matcher: EventEmitter._matcher(pattern),
+      wildcard: pattern.includes('*'),
+      listener,
+      priority,
+      once,
+      order: data.sequence++,
       addedAt: new Date(),
-      handlerCount: (listenerData.get(element)?.handlerCount || 0) + 1,
+      calls: 0,
+    };
+    data.listeners.push(record);
+    // Higher priority first, then registration order
+    data.listeners.sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+    // Kept on the record so removing the listener also detaches it from
+    // the signal; long-lived signals would otherwise collect handlers
+    if (signal) {
+      record.signal = signal;
+      record.onAbort = () => this._remove(record);
+      signal.addEventListener('abort', record.onAbort, { once: true });
+    }
+
+    this._checkLeak(pattern);
+    return this;
+  }
+
+  once(pattern, listener, options = {}) {
+    return this.on(pattern, listener, { ...options, once: true });
+  }
+
+  // off() removes everything, off(pattern) every listener registered
+  // with that pattern, off(pattern, fn) just that listener
+  off(pattern, listener) {
+    let data = listenerData.get(this);
+    data.listeners = data.listeners.filter((record) => {
+      let matches =
+        (pattern === undefined || record.pattern === pattern) &&
+        (listener === undefined || record.listener === listener);
+      if (matches) EventEmitter._release(record);
+      return !matches;
     });
+    return this;
+  }
+
+  _remove(record) {
+    let data = listenerData.get(this);
+    data.listeners = data.listeners.filter((r) => r !== record);
+    EventEmitter._release(record);
+  }
+
+  static _release(record) {
+    record.signal?.removeEventListener('abort', record.onAbort);
+  }
+
+  _checkLeak(pattern) {
+    let data = listenerData.get(this);
+    let count = this.listenerCount(pattern, { exact: true });
+    if (
+      data.maxListeners > 0 &&
+      count > data.maxListeners &&
+      !data.warned.has(pattern)
+    ) {
+      data.warned.add(pattern);
+      console.warn(
+        `⚠️  Possible EventEmitter memory leak: ${count} "${pattern}" listeners ` +
+          `added (max ${data.maxListeners}). Use setMaxListeners() to raise the limit.`
+      );
+    }
+  }
+
+  setMaxListeners(n) {
+    listenerData.get(this).maxListeners = n; // 0 means unlimited
+    return this;
+  }
+
+  // Listeners that would run for an event, in call order. Once-listeners
+  // are removed before they run so re-entrant emits can't call them twice.
+  _take(name) {
+    let data = listenerData.get(this);
+    let matching = data.listeners.filter((record) => record.matcher(name));
+    if (matching.some((record) => record.once)) {
+      data.listeners = data.listeners.filter((record) => {
+        let fired = record.once && matching.includes(record);
+        if (fired) EventEmitter._release(record);
+        return !fired;
+      });
+    }
+    return matching;
+  }
+
+  static _unhandled(error) {
+    return error instanceof Error
+      ? error
+      : new Error(`Unhandled error: ${error}`);
+  }
 
-    console.log(
-      `Added listener for element. Total: ${listenerData.get(element).handlerCount}`
-    );
+  _call(record, name, args) {
+    record.calls++;
+    return record.wildcard
+      ? record.listener.call(this, name, ...args)
+      : record.listener.apply(this, args);
   }
 
-  getListenerInfo(element) {
-    return listenerData.get(element);
+  // Synchronous dispatch. Returns whether anyone was listening. An
+  // unhandled "error" event throws, so errors are never silently lost.
+  emit(name, ...args) {
+    let matching = this._take(name);
+    if (matching.length === 0 && name === 'error') {
+      throw EventEmitter._unhandled(args[0]);
+    }
+    for (let record of matching) {
+      this._call(record, name, args);
+    }
+    return matching.length > 0;
+  }
+
+  // Awaits every listener and resolves to their results in call order.
+  // emitAsync('name', ...args) runs listeners one after another;
+  // emitAsync({ name, parallel: true }, ...args) starts them all at once.
+  // An unhandled "error" event rejects, as emit() would throw.
+  async emitAsync(event, ...args) {
+    let { name, parallel = false } =
+      typeof event === 'string' ? { name: event } : event;
+    let matching = this._take(name);
+    if (matching.length === 0 && name === 'error') {
+      throw EventEmitter._unhandled(args[0]);
+    }
+
+    if (parallel) {
+      return Promise.all(
+        matching.map((record) => this._call(record, name, args))
+      );
+    }
+    let results = [];
+    for (let record of matching) {
+      results.push(await this._call(record, name, args));
+    }
+    return results;
+  }
+
+  // With { exact: true } counts listeners registered under that pattern,
+  // otherwise the listeners an emit of `name` would reach
+  listenerCount(name, { exact = false } = {}) {
+    return listenerData
+      .get(this)
+      .listeners.filter((record) =>
+        exact ? record.pattern === name : record.matcher(name)
+      ).length;
+  }
+
+  eventNames() {
+    return [...new Set(listenerData.get(this).listeners.map((r) => r.pattern))];
+  }
+
+  // Metadata for each listener an emit of `name` would reach
+  listenerInfo(name) {
+    return listenerData
+      .get(this)
+      .listeners.filter((record) => record.matcher(name))
+      .map(({ pattern, priority, once, addedAt, calls }) => ({
+        pattern,
+        priority,
+        once,
+        addedAt,
+        calls,
+      }));
   }
 }
 
-let manager = new EventManager();
-let button1 = { id: 'btn1' };
-let button2 = { id: 'btn2' };
+EventEmitter.defaultMaxListeners = 10;
+
+// Helpers in the style of Node's `events` module
+let events = {
+  // Resolves with the arguments of the next matching event
+  once(emitter, name, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(events._abortError());
+        return;
+      }
+      let onAbort = () => reject(events._abortError());
+      emitter.once(
+        name,
+        (...args) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(args);
+        },
+        { signal }
+      );
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  },
+
+  // Node rejects with an AbortError whatever reason the signal carries
+  _abortError() {
+    return new DOMException('The operation was aborted', 'AbortError');
+  },
+
+  // Async iterator over events: `for await (let args of events.on(...))`.
+  // Events are queued until consumed; breaking out of the loop or
+  // aborting the signal removes the listener.
+  on(emitter, name, { signal } = {}) {
+    let queue = [];
+    let waiting = [];
+    let done = false;
+    let listener = (...args) => {
+      if (waiting.length > 0) waiting.shift()({ value: args, done: false });
+      else queue.push(args);
+    };
+    let finish = () => {
+      done = true;
+      emitter.off(name, listener);
+      signal?.removeEventListener('abort', finish);
+      for (let resolve of waiting.splice(0)) {
+        resolve({ value: undefined, done: true });
+      }
+    };
+
+    // An already-aborted signal yields an iterator that is finished
+    // from the start and never touches the emitter
+    if (signal?.aborted) {
+      done = true;
+    } else {
+      emitter.on(name, listener);
+      signal?.addEventListener('abort', finish, { once: true });
+    }
+
+    return {
+      next() {
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+        if (done || signal?.aborted) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve) => waiting.push(resolve));
+      },
+      return() {
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  },
+};
+
+let bus = new EventEmitter();
+let logOrder = (order) => console.log(`  [log] order ${order.id} created`);
+
+bus.on('order.created', logOrder);
+bus.on('order.created', () => console.log('  [audit] runs first'), {
+  priority: 10,
+});
+bus.once('order.created', () => console.log('  [welcome] first order only'));
+bus.on('order.*', (name, order) =>
+  console.log(`  [wildcard] ${name} #${order.id}`)
+);
+bus.on('**', (name) => console.log(`  [any] ${name}`), { priority: -1 });
+
+console.log('\nemit order.created:');
+bus.emit('order.created', { id: 1 });
+console.log('emit order.created again:');
+bus.emit('order.created', { id: 2 });
+console.log('emit order.shipped:');
+bus.emit('order.shipped', { id: 2 });
+
+bus.off('order.created', logOrder);
+console.log(
+  'After off(logOrder):',
+  bus.listenerCount('order.created'),
+  'listeners'
+);
+console.log(
+  'Listener metadata:',
+  bus
+    .listenerInfo('order.created')
+    .map(
+      ({ pattern, priority, calls }) =>
+        `${pattern} (priority ${priority}, ${calls} calls)`
+    )
+);
+bus.off('**'); // Keep the catch-all out of the examples below
+
+// AbortSignal unsubscription
+let controller = new AbortController();
+bus.on('cart.updated', () => console.log('  cart listener'), {
+  signal: controller.signal,
+});
+console.log('\nWith a signal:');
+console.log('cart.updated delivered?', bus.emit('cart.updated'));
+controller.abort();
+console.log('After abort, delivered?', bus.emit('cart.updated'));
+
+// Unhandled "error" events throw
+try {
+  bus.emit('error', new Error('Payment gateway down'));
+} catch (e) {
+  console.log('Unhandled error event:', e.message);
+}
+
+// Leak warning: more than maxListeners on one event
+let chatty = new EventEmitter({ maxListeners: 2 });
+for (let i = 0; i < 3; i++) chatty.on('tick', () => {});
+
+async function demoEventEmitter() {
+  console.log('\n--- Section 14 output: async events ---');
+
+  let wait = (ms, value) =>
+    new Promise((resolve) => setTimeout(() => resolve(value), ms));
+  let jobs = new EventEmitter();
+  jobs.on('job.done', async () => wait(30, 'slow'));
+  jobs.on('job.done', async () => wait(10, 'fast'));
+
+  let started = Date.now();
+  let serial = await jobs.emitAsync('job.done');
+  let serialMs = Date.now() - started;
+  started = Date.now();
+  let parallel = await jobs.emitAsync({ name: 'job.done', parallel: true });
+  let parallelMs = Date.now() - started;
+  console.log(
+    'serial:',
+    serial,
+    serialMs >= 40 ? '(~40ms)' : `(${serialMs}ms)`
+  );
+  console.log(
+    'parallel:',
+    parallel,
+    parallelMs < 40 ? '(~30ms)' : `(${parallelMs}ms)`
+  );
+
+  // events.on as an async iterator
+  let feed = new EventEmitter();
+  setTimeout(() => {
+    feed.emit('price', 'BTC', 100);
+    feed.emit('price', 'ETH', 50);
+    feed.emit('price', 'BTC', 101);
+  }, 5);
+
+  let seen = 0;
+  for await (let [symbol, price] of events.on(feed, 'price')) {
+    console.log(`  price ${symbol}: ${price}`);
+    if (++seen === 3) break; // Removes the listener
+  }
+  console.log('Listeners left on feed:', feed.listenerCount('price'));
+
+  setTimeout(() => feed.emit('closed', 'market hours over'), 5);
+  let [reason] = await events.once(feed, 'closed');
+  console.log('events.once resolved:', reason);
+
+  try {
+    await feed.emitAsync('error', new Error('Feed disconnected'));
+  } catch (e) {
+    console.log('Unhandled async error event:', e.message);
+  }
+
+  // A signal that is already aborted settles straight away
+  let aborted = AbortSignal.abort();
+  try {
+    await events.once(feed, 'closed', { signal: aborted });
+  } catch (e) {
+    console.log('events.once with an aborted signal:', e.name);
+  }
+  let iterator = events.on(feed, 'price', { signal: aborted });
+  console.log(
+    'events.on with an aborted signal, listeners:',
+    feed.listenerCount('price')
+  );
+  console.log('  first next():', await iterator.next());
+}
 
-manager.addListener(button1, () => console.log('click'));
-manager.addListener(button1, () => console.log('another click'));
-manager.addListener(button2, () => console.log('button2 click'));
+// Run once the synchronous examples have finished logging
+Promise.resolve().then(demoEventEmitter);
 
-console.log('Button1 info:', manager.getListenerInfo(button1));
-console.log('Button2 info:', manager.getListenerInfo(button2));
-console.log('\nWhen buttons are removed from DOM, data is auto-cleaned!');
+console.log('\nWhen an emitter is dropped, its data is auto-cleaned!');
 
 console.log('\n=== COMPLETE! ===');
 console.log('All WeakMap concepts and use cases demonstrated!');
@@ -186,11 +186,521 @@ processOrder(order2);
 processOrder(order1); // Already processed
 processOrder(order3);
 
+// The WeakSet only recognises the *same object*. An order that arrives
+// again as freshly parsed JSON is a different object and slips through:
+processOrder(JSON.parse(JSON.stringify(order2))); // Processed twice!
+
+// Idempotency store: dedupes by key instead of identity. The key is
+// supplied by the caller (an "Idempotency-Key" header) or derived from
+// the content. Results and errors are stored for `ttl` ms and replayed;
+// duplicates that arrive while the first call runs wait for its result.
+
+// Adapters store plain JSON records that carry an `expires` timestamp:
+//   get(key), set(key, record), delete(key)
+//   setIfAbsent(key, record, now) - atomically store `record` unless a
+//     record that is still live at `now` exists; resolves to true when
+//     stored. This is what makes the in-progress lock safe when several
+//     processes share one store.
+// Records are copied in and out, so no caller can mutate a stored result.
+const copyRecord = (record) =>
+  record === undefined ? undefined : JSON.parse(JSON.stringify(record));
+
+class MemoryAdapter {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return copyRecord(this.records.get(key));
+  }
+
+  async set(key, record) {
+    this.records.set(key, copyRecord(record));
+  }
+
+  // Atomic because nothing awaits between the check and the write
+  async setIfAbsent(key, record, now) {
+    let existing = this.records.get(key);
+    if (existing && existing.expires > now) return false;
+    this.records.set(key, copyRecord(record));
+    return true;
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+// Keeps all records in one JSON file. Every change is a read-modify-write
+// done while holding `<path>.lock`, created with the exclusive 'wx' flag
+// so only one process can hold it. Writes go to a temporary file that is
+// renamed into place. Changes from this process are also queued, so they
+// never interleave.
+class JsonFileAdapter {
+  constructor(path, { staleLock = 10 * 1000 } = {}) {
+    this.path = path;
+    this.lockPath = `${path}.lock`;
+    this.staleLock = staleLock;
+    this.fs = require('node:fs/promises');
+    this.queue = Promise.resolve();
+  }
+
+  async _load() {
+    try {
+      return JSON.parse(await this.fs.readFile(this.path, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  }
+
+  async _lock() {
+    for (;;) {
+      try {
+        return await this.fs.open(this.lockPath, 'wx');
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        // A lock left behind by a crashed process is broken after a while
+        let stat = await this.fs.stat(this.lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > this.staleLock) {
+          await this.fs.rm(this.lockPath, { force: true });
+        } else {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+      }
+    }
+  }
+
+  // change(records) edits the records in place and may return a value,
+  // which _update resolves to. A failed change rejects only its own
+  // caller; the queue carries on with the next one.
+  _update(change) {
+    let run = this.queue.then(async () => {
+      let lock = await this._lock();
+      try {
+        let records = await this._load();
+        let outcome = change(records);
+        let temp = `${this.path}.${process.pid}.tmp`;
+        await this.fs.writeFile(temp, JSON.stringify(records, null, 2));
+        await this.fs.rename(temp, this.path);
+        return outcome;
+      } finally {
+        await lock.close();
+        await this.fs.rm(this.lockPath, { force: true });
+      }
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async get(key) {
+    await this.queue;
+    return (await this._load())[key];
+  }
+
+  async set(key, record) {
+    await this._update((records) => {
+      records[key] = record;
+    });
+  }
+
+  setIfAbsent(key, record, now) {
+    return this._update((records) => {
+      let existing = records[key];
+      if (existing && existing.expires > now) return false;
+      records[key] = record;
+      return true;
+    });
+  }
+
+  async delete(key) {
+    await this._update((records) => {
+      delete records[key];
+    });
+  }
+}
+
+class IdempotencyStore {
+  // onStoreError(error, key) hears about outcomes that could not be saved
+  constructor({
+    adapter = new MemoryAdapter(),
+    ttl = 24 * 60 * 60 * 1000,
+    lockTimeout = 30 * 1000,
+    pollInterval = 50,
+    now = Date.now,
+    onStoreError = (error, key) =>
+      console.warn(`Could not store outcome for ${key}: ${error.message}`),
+  } = {}) {
+    this.adapter = adapter;
+    this.ttl = ttl;
+    this.lockTimeout = lockTimeout;
+    this.pollInterval = pollInterval;
+    this.now = now;
+    this.onStoreError = onStoreError;
+    this.inFlight = new Map(); // key -> promise of the running call
+  }
+
+  // Content hash for callers without a key. Object keys are sorted so
+  // { a: 1, b: 2 } and { b: 2, a: 1 } hash the same.
+  static keyFor(value) {
+    let canonical = JSON.stringify(value, (key, v) =>
+      v && typeof v === 'object' && !Array.isArray(v)
+        ? Object.fromEntries(
+            Object.entries(v).sort(([a], [b]) => (a < b ? -1 : 1))
+          )
+        : v
+    );
+    return require('node:crypto')
+      .createHash('sha256')
+      .update(canonical)
+      .digest('hex');
+  }
+
+  // Every caller gets its own copy of the result
+  run(key, fn) {
+    // Same process: join the call that is already running
+    if (!this.inFlight.has(key)) {
+      let promise = this._run(key, fn).finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, promise);
+    }
+    return this.inFlight.get(key).then(copyRecord);
+  }
+
+  async _run(key, fn) {
+    // Wait out other holders until the lock is ours or a result exists
+    for (;;) {
+      let record = await this._settled(key);
+      if (record) return IdempotencyStore._replay(record);
+      let acquired = await this.adapter.setIfAbsent(
+        key,
+        { status: 'in-progress', expires: this.now() + this.lockTimeout },
+        this.now()
+      );
+      if (acquired) break;
+    }
+
+    let outcome;
+    try {
+      let result = await fn();
+      outcome = { status: 'completed', result };
+    } catch (error) {
+      outcome = {
+        status: 'failed',
+        error: { name: error.name, message: error.message, code: error.code },
+      };
+    }
+
+    // fn has already had its effect, so a storage failure must not hide
+    // the outcome from this caller. Other processes see the lock expire
+    // after lockTimeout and run fn again.
+    try {
+      await this.adapter.set(key, {
+        ...outcome,
+        expires: this.now() + this.ttl,
+      });
+    } catch (error) {
+      this.onStoreError(error, key);
+    }
+    return IdempotencyStore._replay(outcome);
+  }
+
+  // The stored record once it is finished, or undefined when the key is
+  // free (missing or expired). An "in-progress" record left by another
+  // process is waited on until it settles or its lock expires. Expired
+  // records are left for setIfAbsent to replace, since deleting one here
+  // could delete a lock another process has just taken.
+  async _settled(key) {
+    for (;;) {
+      let record = await this.adapter.get(key);
+      if (!record || record.expires <= this.now()) return undefined;
+      if (record.status !== 'in-progress') return record;
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  static _replay(record) {
+    if (record.status === 'completed') return record.result;
+    let error = new Error(record.error.message);
+    error.name = record.error.name;
+    if (record.error.code !== undefined) error.code = record.error.code;
+    throw error;
+  }
+
+  forget(key) {
+    return this.adapter.delete(key);
+  }
+}
+
+let orderStore = new IdempotencyStore({ ttl: 60 * 1000 });
+
+// Resolves to the same receipt however often the order is submitted
+function processOrderOnce(order, key = IdempotencyStore.keyFor(order)) {
+  return orderStore.run(key, async () => {
+    console.log(`⚙️  Charging order #${order.id}...`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    if (order.total < 0) {
+      let error = new RangeError(`Invalid total for order #${order.id}`);
+      error.code = 'INVALID_TOTAL';
+      throw error;
+    }
+    return { orderId: order.id, chargedAt: new Date().toISOString() };
+  });
+}
+
+async function demoIdempotency() {
+  console.log('\n--- Section 6 output: idempotency store ---');
+
+  let payload = '{"id": 104, "customer": "Dana", "total": 25}';
+
+  // Three concurrent submissions of the same JSON: one charge
+  let receipts = await Promise.all([
+    processOrderOnce(JSON.parse(payload)),
+    processOrderOnce(JSON.parse(payload)),
+    processOrderOnce(JSON.parse(payload)),
+  ]);
+  console.log(
+    'Same receipt for all three?',
+    receipts.every((r) => r.chargedAt === receipts[0].chargedAt)
+  );
+
+  // Each caller gets a copy, so one cannot corrupt what others replay
+  receipts[0].orderId = 'tampered';
+
+  // A later retry replays the stored result without charging again
+  let retry = await processOrderOnce(JSON.parse(payload));
+  console.log(
+    'Retry replays the untampered receipt?',
+    retry.chargedAt === receipts[0].chargedAt && retry.orderId === 104
+  );
+
+  // Caller-supplied keys, and failures are replayed too
+  let bad = { id: 105, customer: 'Eve', total: -1 };
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    try {
+      await processOrderOnce(bad, 'checkout-7f3a');
+    } catch (e) {
+      console.log(`Attempt ${attempt}: ${e.name} ${e.code} - ${e.message}`);
+    }
+  }
+
+  // TTL expiry: with a fake clock, an expired key runs again
+  let clock = 0;
+  let shortLived = new IdempotencyStore({ ttl: 1000, now: () => clock });
+  let runs = 0;
+  await shortLived.run('job', async () => ++runs);
+  await shortLived.run('job', async () => ++runs);
+  clock = 5000;
+  await shortLived.run('job', async () => ++runs);
+  console.log('Runs with TTL expiry in between:', runs); // 2
+
+  // Persistence: a second store on the same file sees the first's results
+  let path = require('node:path').join(
+    require('node:os').tmpdir(),
+    `idempotency-demo-${process.pid}.json`
+  );
+  let first = new IdempotencyStore({ adapter: new JsonFileAdapter(path) });
+  let second = new IdempotencyStore({ adapter: new JsonFileAdapter(path) });
+  let value = await first.run('export-2024-05', async () => 'report.csv');
+  let replayed = await second.run(
+    'export-2024-05',
+    async () => 'duplicate.csv'
+  );
+  console.log('File-backed replay:', value, '→', replayed);
+
+  // Two stores racing for the same key: the atomic lock lets one run
+  let charges = 0;
+  let race = await Promise.all(
+    [first, second].map((store) =>
+      store.run('invoice-88', async () => {
+        charges++;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return 'charged';
+      })
+    )
+  );
+  console.log('Racing stores:', race, `(charges: ${charges})`);
+  await require('node:fs/promises').rm(path, { force: true });
+
+  // A failed outcome write still returns the result to its caller
+  let flakyAdapter = new MemoryAdapter();
+  flakyAdapter.set = async () => {
+    throw new Error('disk full');
+  };
+  let fragile = new IdempotencyStore({
+    adapter: flakyAdapter,
+    onStoreError: (error, key) =>
+      console.log(`Store error (${key}):`, error.message),
+  });
+  console.log(
+    'Result despite store error:',
+    await fragile.run('r1', async () => 42)
+  );
+}
+
+// Run once the synchronous examples have finished logging
+Promise.resolve().then(demoIdempotency);
+
 console.log('\n=== 7. USE CASE: USER VERIFICATION SYSTEM ===\n');
 
 let verifiedUsers = new WeakSet();
 let bannedUsers = new WeakSet();
 
+// Role-based access control
+// Permissions are "resource:action" patterns where `*` matches anything:
+// "orders:read", "orders:*", "*:read", "orders/42:write". A resource
+// pattern also covers everything below it, so "orders:read" allows
+// reading "orders/42". Deny rules always beat allow rules.
+class AccessControl {
+  constructor(policy = {}) {
+    this.roles = new Map(); // name -> { inherits, allow, deny }
+    this._memberships = new WeakMap(); // user -> Set of role names
+    this._grants = new WeakMap(); // user -> rules granted directly
+    for (let [name, role] of Object.entries(policy.roles ?? {})) {
+      this.defineRole(name, role);
+    }
+  }
+
+  defineRole(name, { inherits = [], allow = [], deny = [] } = {}) {
+    [...allow, ...deny].forEach(AccessControl._parse);
+    this.roles.set(name, { inherits, allow, deny });
+    return this;
+  }
+
+  assign(user, ...roles) {
+    for (let role of roles) {
+      if (!this.roles.has(role)) {
+        throw new TypeError(`Unknown role: ${role}`);
+      }
+    }
+    let current = this._memberships.get(user) ?? new Set();
+    roles.forEach((role) => current.add(role));
+    this._memberships.set(user, current);
+    return this;
+  }
+
+  unassign(user, role) {
+    this._memberships.get(user)?.delete(role);
+    return this;
+  }
+
+  rolesOf(user) {
+    return [...(this._memberships.get(user) ?? [])];
+  }
+
+  // Resource-level rules for one user, e.g. grant(bob, 'write', 'orders/42')
+  grant(user, action, resource) {
+    return this._addGrant(user, 'allow', `${resource}:${action}`);
+  }
+
+  deny(user, action, resource) {
+    return this._addGrant(user, 'deny', `${resource}:${action}`);
+  }
+
+  _addGrant(user, effect, permission) {
+    AccessControl._parse(permission);
+    let rules = this._grants.get(user) ?? [];
+    rules.push({ effect, permission, source: 'user grant' });
+    this._grants.set(user, rules);
+    return this;
+  }
+
+  // Every rule that applies to the user: direct grants first, then the
+  // rules of each role and the roles it inherits (each role once)
+  _rulesFor(user) {
+    let rules = [...(this._grants.get(user) ?? [])];
+    let visited = new Set();
+    let visit = (name, via) => {
+      if (visited.has(name)) return;
+      visited.add(name);
+      let role = this.roles.get(name);
+      if (!role) throw new TypeError(`Unknown role: ${name}`);
+      let source = via ? `role "${name}" (via ${via})` : `role "${name}"`;
+      for (let permission of role.deny) {
+        rules.push({ effect: 'deny', permission, source });
+      }
+      for (let permission of role.allow) {
+        rules.push({ effect: 'allow', permission, source });
+      }
+      role.inherits.forEach((parent) => visit(parent, via ?? name));
+    };
+    this.rolesOf(user).forEach((name) => visit(name));
+    return rules;
+  }
+
+  // Returns { allowed, rule, reason } so callers can log why
+  can(user, action, resource) {
+    let matching = this._rulesFor(user).filter((rule) =>
+      AccessControl.matches(rule.permission, action, resource)
+    );
+    let rule =
+      matching.find((r) => r.effect === 'deny') ??
+      matching.find((r) => r.effect === 'allow') ??
+      null;
+
+    if (!rule) {
+      return {
+        allowed: false,
+        rule,
+        reason: `no rule allows ${action} on ${resource}`,
+      };
+    }
+    let verb = rule.effect === 'allow' ? 'allowed' : 'denied';
+    return {
+      allowed: rule.effect === 'allow',
+      rule,
+      reason: `${verb} by ${rule.source}: ${rule.effect} ${rule.permission}`,
+    };
+  }
+
+  static _parse(permission) {
+    let split = String(permission).lastIndexOf(':');
+    if (split <= 0 || split === permission.length - 1) {
+      throw new TypeError(`Invalid permission "${permission}"`);
+    }
+    return {
+      resource: permission.slice(0, split),
+      action: permission.slice(split + 1),
+    };
+  }
+
+  static _glob(pattern) {
+    return pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+  }
+
+  static matches(permission, action, resource) {
+    let parsed = AccessControl._parse(permission);
+    let resourceRe = new RegExp(
+      `^${AccessControl._glob(parsed.resource)}(?:/.*)?$`
+    );
+    let actionRe = new RegExp(`^${AccessControl._glob(parsed.action)}$`);
+    return resourceRe.test(resource) && actionRe.test(action);
+  }
+
+  // Only role definitions are serialized: memberships and grants live in
+  // WeakMaps keyed by user objects, which cannot be enumerated
+  toJSON() {
+    return { roles: Object.fromEntries(this.roles) };
+  }
+
+  static fromJSON(json) {
+    return new AccessControl(
+      typeof json === 'string' ? JSON.parse(json) : json
+    );
+  }
+}
+
+let accessControl = new AccessControl({
+  roles: {
+    viewer: { allow: ['orders:read', 'products:read'] },
+    editor: { inherits: ['viewer'], allow: ['orders:*'] },
+    auditor: { inherits: ['viewer'], deny: ['orders:delete'] },
+    admin: { allow: ['*:*'] },
+  },
+});
+
 class UserSystem {
   static verify(user) {
     if (bannedUsers.has(user)) {
@@ -217,6 +727,22 @@ class UserSystem {
   static isVerified(user) {
     return verifiedUsers.has(user) && !bannedUsers.has(user);
   }
+
+  static assignRole(user, ...roles) {
+    accessControl.assign(user, ...roles);
+  }
+
+  // A ban overrides every role and grant
+  static can(user, action, resource) {
+    if (bannedUsers.has(user)) {
+      return {
+        allowed: false,
+        rule: { effect: 'deny', permission: '*:*', source: 'ban' },
+        reason: `denied: ${user.username} is banned`,
+      };
+    }
+    return accessControl.can(user, action, resource);
+  }
 }
 
 let alice = { username: 'alice', email: 'alice@example.com' };
@@ -233,6 +759,51 @@ console.log('Alice verified?', UserSystem.isVerified(alice));
 console.log('Bob verified?', UserSystem.isVerified(bob));
 console.log('Charlie verified?', UserSystem.isVerified(charlie));
 
+console.log('\n🔐 Roles and permissions:');
+let dave = { username: 'dave', email: 'dave@example.com' };
+UserSystem.assignRole(alice, 'editor');
+UserSystem.assignRole(bob, 'viewer');
+UserSystem.assignRole(dave, 'editor', 'auditor');
+UserSystem.assignRole(charlie, 'admin');
+accessControl.grant(bob, 'write', 'orders/42'); // Just this one order
+
+let checks = [
+  [alice, 'delete', 'orders/7'],
+  [alice, 'read', 'products'],
+  [bob, 'read', 'orders/7'],
+  [bob, 'write', 'orders/42'],
+  [bob, 'write', 'orders/43'],
+  [dave, 'delete', 'orders/7'],
+  [dave, 'write', 'orders/7'],
+  [charlie, 'read', 'products'],
+];
+for (let [user, action, resource] of checks) {
+  let { allowed, reason } = UserSystem.can(user, action, resource);
+  console.log(
+    `${allowed ? '✅' : '⛔'} ${user.username} ${action} ${resource} - ${reason}`
+  );
+}
+
+// Policies round-trip through JSON; memberships stay with the users
+let policyJson = JSON.stringify(accessControl);
+let restoredPolicy = AccessControl.fromJSON(policyJson);
+restoredPolicy.assign(alice, 'auditor');
+console.log('\nPolicy JSON:', policyJson);
+console.log(
+  'Restored policy, alice as auditor can delete?',
+  restoredPolicy.can(alice, 'delete', 'orders/7').allowed
+);
+console.log(
+  'Roles of alice in the original policy:',
+  accessControl.rolesOf(alice)
+);
+
+try {
+  accessControl.defineRole('broken', { allow: ['orders'] });
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
 console.log('\n=== 8. USE CASE: DOM ELEMENT TRACKING ===\n');
 
 console.log('Scenario: Track user interactions with DOM elements');
@@ -282,32 +853,238 @@ console.log(
 
 console.log('\n=== 9. USE CASE: CIRCULAR REFERENCE DETECTION ===\n');
 
-let currentlyVisiting = new WeakSet();
+// JSON Pointer (RFC 6901) escaping for one path segment
+function pointerSegment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
 
-function hasCircularReference(obj, path = 'root') {
-  // If we're currently visiting this object, it's a cycle
-  if (currentlyVisiting.has(obj)) {
-    console.log(`🔄 Circular reference detected at: ${path}`);
-    return true;
+// Child slots of an object as [segments, value] pairs. Map and Set
+// entries live under $map/<i>/<0|1> and $set/<i>, the same layout
+// safeStringify writes, so every path is also a valid $ref target.
+function graphChildren(obj, { symbols = false, getters = false } = {}) {
+  let children = [];
+
+  if (obj instanceof Map) {
+    let i = 0;
+    for (let [key, value] of obj) {
+      children.push([['$map', i, 0], key], [['$map', i, 1], value]);
+      i++;
+    }
+    return children;
+  }
+
+  if (obj instanceof Set) {
+    let i = 0;
+    for (let value of obj) {
+      children.push([['$set', i++], value]);
+    }
+    return children;
+  }
+
+  if (obj instanceof Date) return children;
+
+  for (let key of Reflect.ownKeys(obj)) {
+    if (typeof key === 'symbol' && !symbols) continue;
+    let descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if (!descriptor.enumerable) continue;
+    if ('value' in descriptor) {
+      children.push([[key], descriptor.value]);
+    } else if (descriptor.get && getters) {
+      // Getters can have side effects, so they are only read on request
+      children.push([[key], descriptor.get.call(obj)]);
+    }
+  }
+  return children;
+}
+
+// Depth-first walk over an object graph. The visitor gets a node
+// { value, pointer, parent, segments } for each slot:
+//   leaf(node)  - primitives and functions
+//   enter(node) / leave(node) - objects reached for the first time
+//   ref(node)   - objects reached again; node.target is the pointer of
+//                 the first visit and node.cycle says whether it is an
+//                 ancestor (a cycle) or just shared
+// Returns every cycle-closing and shared reference found.
+function walkGraph(root, visitor = {}, options = {}) {
+  let visiting = new WeakSet(); // Ancestors of the current node
+  let firstSeen = new WeakMap(); // Object -> pointer of its first visit
+  let cycles = [];
+  let shared = [];
+
+  function walk(node) {
+    let { value } = node;
+
+    if (value === null || typeof value !== 'object') {
+      visitor.leaf?.(node);
+      return;
+    }
+
+    if (firstSeen.has(value)) {
+      node.target = firstSeen.get(value);
+      node.cycle = visiting.has(value);
+      (node.cycle ? cycles : shared).push({
+        path: node.pointer,
+        target: node.target,
+      });
+      visitor.ref?.(node);
+      return;
+    }
+
+    firstSeen.set(value, node.pointer);
+    visiting.add(value);
+    visitor.enter?.(node);
+
+    for (let [segments, child] of graphChildren(value, options)) {
+      walk({
+        value: child,
+        parent: node,
+        segments,
+        pointer: `${node.pointer}/${segments.map(pointerSegment).join('/')}`,
+      });
+    }
+
+    visitor.leave?.(node);
+    visiting.delete(value);
   }
 
-  // Mark as visiting
-  currentlyVisiting.add(obj);
+  walk({ value: root, parent: null, segments: [], pointer: '#' });
+  return { cycles, shared };
+}
+
+function findCycles(obj, options) {
+  return walkGraph(obj, {}, options).cycles;
+}
+
+function hasCircularReference(obj, options) {
+  let cycles = findCycles(obj, options);
+  for (let { path, target } of cycles) {
+    console.log(`🔄 Circular reference detected at: ${path} → ${target}`);
+  }
+  return cycles.length > 0;
+}
 
-  // Check all properties
-  for (let key in obj) {
-    let value = obj[key];
-    if (value && typeof value === 'object') {
-      if (hasCircularReference(value, `${path}.${key}`)) {
-        currentlyVisiting.delete(obj);
-        return true;
+// Object keys that look like the tags below ($ref, $$ref, $$$ref, ...)
+// get one more "$" on the way out and lose it on the way back in, so
+// user data such as { $ref: 'http://x' } is never mistaken for a tag
+const TAG_KEY = /^\$+(ref|date|map|set)$/;
+const escapeTagKey = (key) => (TAG_KEY.test(key) ? '$' + key : key);
+const unescapeTagKey = (key) =>
+  TAG_KEY.test(key) && key.startsWith('$$') ? key.slice(1) : key;
+
+// JSON.stringify that survives cycles. Repeated objects become
+// {"$ref": "#/pointer/to/first/visit"}; Maps, Sets and Dates are tagged
+// as {"$map": [[k, v], ...]}, {"$set": [...]} and {"$date": "..."}.
+// Class instances come back as plain objects. JSON has no symbol keys,
+// so those are skipped (and never used as $ref targets) whatever the
+// options say.
+function safeStringify(value, { space, ...options } = {}) {
+  let root;
+
+  function place(node, encoded) {
+    if (!node.parent) {
+      root = encoded;
+      return;
+    }
+    let container = node.parent.encoded;
+    for (let segment of node.segments.slice(0, -1)) {
+      container = container[segment];
+    }
+    // A single segment is an object key or array index; longer ones are
+    // the $map/$set layout, which is ours and needs no escaping
+    let last = node.segments.at(-1);
+    if (node.segments.length === 1) last = escapeTagKey(last);
+    container[last] = encoded;
+  }
+
+  walkGraph(
+    value,
+    {
+      leaf(node) {
+        place(node, node.value);
+      },
+      enter(node) {
+        let obj = node.value;
+        if (obj instanceof Date) {
+          node.encoded = { $date: obj.toJSON() };
+        } else if (obj instanceof Map) {
+          node.encoded = { $map: Array.from(obj, () => [null, null]) };
+        } else if (obj instanceof Set) {
+          node.encoded = { $set: [] };
+        } else {
+          node.encoded = Array.isArray(obj) ? [] : {};
+        }
+        place(node, node.encoded);
+      },
+      ref(node) {
+        place(node, { $ref: node.target });
+      },
+    },
+    { ...options, symbols: false }
+  );
+
+  return JSON.stringify(root, null, space);
+}
+
+// Inverse of safeStringify. Objects are registered under their pointer
+// before their children are decoded, so every $ref (which always points
+// back to an earlier visit) resolves in a single pass.
+function safeParse(text) {
+  let byPointer = new Map();
+
+  let isTagged = (json, tag) =>
+    Object.keys(json).length === 1 && Object.hasOwn(json, tag);
+
+  function decode(json, pointer) {
+    if (json === null || typeof json !== 'object') return json;
+
+    if (isTagged(json, '$ref')) {
+      if (!byPointer.has(json.$ref)) {
+        throw new SyntaxError(`Unresolved $ref "${json.$ref}" at ${pointer}`);
       }
+      return byPointer.get(json.$ref);
     }
+
+    if (isTagged(json, '$date')) {
+      let date = new Date(json.$date ?? NaN);
+      byPointer.set(pointer, date);
+      return date;
+    }
+
+    if (isTagged(json, '$map')) {
+      let map = new Map();
+      byPointer.set(pointer, map);
+      json.$map.forEach(([key, value], i) => {
+        let at = `${pointer}/$map/${i}`;
+        map.set(decode(key, `${at}/0`), decode(value, `${at}/1`));
+      });
+      return map;
+    }
+
+    if (isTagged(json, '$set')) {
+      let set = new Set();
+      byPointer.set(pointer, set);
+      json.$set.forEach((value, i) => {
+        set.add(decode(value, `${pointer}/$set/${i}`));
+      });
+      return set;
+    }
+
+    let out = Array.isArray(json) ? [] : {};
+    byPointer.set(pointer, out);
+    for (let key of Object.keys(json)) {
+      let name = unescapeTagKey(key);
+      // defineProperty so a "__proto__" key stays an ordinary property
+      Object.defineProperty(out, name, {
+        value: decode(json[key], `${pointer}/${pointerSegment(name)}`),
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    }
+    return out;
   }
 
-  // Done visiting this object
-  currentlyVisiting.delete(obj);
-  return false;
+  return decode(JSON.parse(text), '#');
 }
 
 // Test 1: No circular reference
@@ -331,50 +1108,546 @@ circularObj.self = circularObj; // Points to itself
 console.log('\nTesting circular object:');
 console.log('Has cycle?', hasCircularReference(circularObj));
 
+// Test 3: Every cycle, not just the first
+let team = { name: 'Core', members: [] };
+let lead = { name: 'Ada', team };
+let dev = { name: 'Linus', team, mentor: lead };
+team.members.push(lead, dev);
+team.lead = lead; // Shared, but not a cycle on its own
+
+console.log('\nTesting team graph:');
+let report = walkGraph(team);
+console.log('Cycles:', report.cycles);
+console.log('Shared references:', report.shared);
+
+// Test 4: Maps, Sets, symbol keys and getters
+let registry = new Map();
+let tags = new Set();
+let tagged = { label: 'node', [Symbol('owner')]: registry };
+registry.set('root', tagged);
+tags.add(tags);
+Object.defineProperty(tagged, 'tags', {
+  get: () => tags,
+  enumerable: true,
+});
+
+console.log('\nTesting collections:');
+console.log('Default walk:', findCycles(registry));
+console.log(
+  'With symbols and getters:',
+  findCycles(registry, { symbols: true, getters: true })
+);
+
+// Safe serialization round trip
+let state = {
+  createdAt: new Date('2024-05-01T12:00:00Z'),
+  users: new Map([['ada', lead]]),
+  seen: new Set([dev]),
+  team,
+};
+let json = safeStringify(state);
+console.log('\nsafeStringify(state):');
+console.log(json);
+
+let copy = safeParse(json);
+console.log('\nsafeParse restores the graph:');
+console.log(
+  'copy.team.lead.team === copy.team?',
+  copy.team.lead.team === copy.team
+);
+console.log(
+  "copy.users.get('ada') === copy.team.lead?",
+  copy.users.get('ada') === copy.team.lead
+);
+console.log(
+  'copy.seen has copy.team.members[1]?',
+  copy.seen.has(copy.team.members[1])
+);
+console.log('createdAt is a Date?', copy.createdAt instanceof Date);
+console.log('Same shape?', safeStringify(copy) === json);
+
+// Data that happens to look like a tag is escaped, not misread
+let lookalike = { link: { $ref: 'https://example.com/schema' } };
+console.log(
+  '\nLookalike round-trips?',
+  safeParse(safeStringify(lookalike)).link.$ref === lookalike.link.$ref
+);
+
+try {
+  safeParse('{"a": {"$ref": "#/missing"}}');
+} catch (e) {
+  console.log('Error caught:', e.message);
+}
+
 console.log('\n=== 10. USE CASE: BUTTON STATE MANAGEMENT ===\n');
 
+// A small declarative state machine (a "statechart"). States may nest
+// (`states` + `initial`) or run side by side (`type: 'parallel'`). Each
+// state can have `entry`/`exit` actions and an `on` map of events:
+//   on: {
+//     SUBMIT: 'sending',                       // target state
+//     CLICK: { actions: [count] },             // no target: stay put
+//     RETRY: [{ target: 'sending', guard: canRetry }, { target: 'failed' }],
+//   }
+// Targets name a sibling ('sending'), a child ('.inner') or an absolute
+// path from the root ('#form.sending'). Events not handled by a state
+// bubble up to its parent. Actions and guards get (context, event).
+class StateMachine {
+  constructor(config) {
+    this.id = config.id ?? 'machine';
+    this.config = config;
+    this.root = this._build(config, this.id, null);
+    this._resolveTargets(this.root);
+  }
+
+  _build(config, key, parent) {
+    let node = {
+      key,
+      parent,
+      path: parent ? [...parent.path, key] : [],
+      depth: parent ? parent.depth + 1 : 0,
+      type: config.type ?? (config.states ? 'compound' : 'atomic'),
+      initial: config.initial,
+      entry: [config.entry ?? []].flat(),
+      exit: [config.exit ?? []].flat(),
+      children: new Map(),
+      on: {},
+    };
+    node.id = node.path.join('.');
+
+    for (let [childKey, childConfig] of Object.entries(config.states ?? {})) {
+      node.children.set(childKey, this._build(childConfig, childKey, node));
+    }
+    if (node.type === 'compound' && !node.children.has(node.initial)) {
+      throw new TypeError(
+        `State "${node.id || this.id}" needs an initial child, got ${node.initial}`
+      );
+    }
+
+    for (let [event, spec] of Object.entries(config.on ?? {})) {
+      node.on[event] = [spec].flat().map((option) => {
+        let {
+          target,
+          guard,
+          actions = [],
+        } = typeof option === 'string' ? { target: option } : option;
+        return {
+          event,
+          source: node,
+          target,
+          guard,
+          actions: [actions].flat(),
+        };
+      });
+    }
+    return node;
+  }
+
+  _resolveTargets(node) {
+    for (let transitions of Object.values(node.on)) {
+      for (let transition of transitions) {
+        if (transition.target !== undefined) {
+          transition.targetNode = this._find(node, transition.target);
+        }
+      }
+    }
+    node.children.forEach((child) => this._resolveTargets(child));
+  }
+
+  _find(source, target) {
+    let [start, path] = target.startsWith('#')
+      ? [this.root, target.slice(1).split('.')]
+      : target.startsWith('.')
+        ? [source, target.slice(1).split('.')]
+        : [source.parent ?? source, target.split('.')];
+    let node = start;
+    for (let key of path) {
+      node = node.children.get(key);
+      if (!node) {
+        throw new TypeError(
+          `Unknown target "${target}" from "${source.id || this.id}"`
+        );
+      }
+    }
+    return node;
+  }
+
+  // Every node in document order
+  *nodes(node = this.root) {
+    yield node;
+    for (let child of node.children.values()) yield* this.nodes(child);
+  }
+
+  *transitions() {
+    for (let node of this.nodes()) {
+      for (let list of Object.values(node.on)) yield* list;
+    }
+  }
+
+  start(context = {}) {
+    return new Interpreter(this, { ...this.config.context, ...context });
+  }
+
+  static _label(transition) {
+    let guard = transition.guard
+      ? ` [${transition.guard.name || 'guard'}]`
+      : '';
+    return `${transition.event}${guard}`;
+  }
+
+  // Mermaid stateDiagram-v2 source
+  toMermaid() {
+    let lines = ['stateDiagram-v2'];
+    let idOf = (node) => node.path.join('_');
+
+    let render = (node, indent) => {
+      let children = [...node.children.values()];
+      if (node.type === 'compound') {
+        lines.push(`${indent}[*] --> ${idOf(node.children.get(node.initial))}`);
+      }
+      children.forEach((child, i) => {
+        if (node.type === 'parallel' && i > 0) lines.push(`${indent}--`);
+        if (child.children.size > 0) {
+          lines.push(`${indent}state "${child.key}" as ${idOf(child)} {`);
+          render(child, indent + '  ');
+          lines.push(`${indent}}`);
+        } else {
+          lines.push(`${indent}state "${child.key}" as ${idOf(child)}`);
+        }
+      });
+      // Edges go inside the innermost state that contains both ends
+      for (let t of this.transitions()) {
+        let to = t.targetNode ?? t.source;
+        if (Interpreter._domain(t.source, to) === node) {
+          lines.push(
+            `${indent}${idOf(t.source)} --> ${idOf(to)} : ${StateMachine._label(t)}`
+          );
+        }
+      }
+    };
+
+    if (this.root.type === 'parallel') {
+      // Regions need an enclosing state to run side by side in
+      lines.push(
+        `  [*] --> ${this.id}`,
+        `  state "${this.id}" as ${this.id} {`
+      );
+      render(this.root, '    ');
+      lines.push('  }');
+    } else {
+      render(this.root, '  ');
+    }
+    return lines.join('\n');
+  }
+
+  // Graphviz DOT source. Compound states become clusters; edges to and
+  // from them are clipped at the cluster border (lhead/ltail).
+  toDot() {
+    let idOf = (node) => `"${node.id || this.id}"`;
+    let anchor = (node) =>
+      node.children.size === 0
+        ? node
+        : anchor(
+            node.children.get(node.initial) ??
+              node.children.values().next().value
+          );
+    let lines = [
+      `digraph "${this.id}" {`,
+      '  compound=true;',
+      '  node [shape=box, style=rounded];',
+      '  __start [shape=point];',
+    ];
+
+    let render = (node, indent) => {
+      for (let child of node.children.values()) {
+        if (child.children.size > 0) {
+          let style = child.type === 'parallel' ? ', style=dashed' : '';
+          lines.push(`${indent}subgraph "cluster_${child.id}" {`);
+          lines.push(`${indent}  label="${child.key}"${style};`);
+          render(child, indent + '  ');
+          lines.push(`${indent}}`);
+        } else {
+          lines.push(`${indent}${idOf(child)} [label="${child.key}"];`);
+        }
+      }
+    };
+    render(this.root, '  ');
+
+    lines.push(`  __start -> ${idOf(anchor(this.root))};`);
+    for (let t of this.transitions()) {
+      let to = t.targetNode ?? t.source;
+      let attributes = [`label="${StateMachine._label(t)}"`];
+      if (t.source.children.size > 0)
+        attributes.push(`ltail="cluster_${t.source.id}"`);
+      if (to.children.size > 0) attributes.push(`lhead="cluster_${to.id}"`);
+      lines.push(
+        `  ${idOf(anchor(t.source))} -> ${idOf(anchor(to))} [${attributes.join(', ')}];`
+      );
+    }
+    lines.push('}');
+    return lines.join('\n');
+  }
+}
+
+// A running machine: the set of active states plus mutable context
+class Interpreter {
+  constructor(machine, context) {
+    this.machine = machine;
+    this.context = context;
+    this.active = new Set();
+    this.listeners = new Set();
+    this._enterDefault(machine.root, { type: 'init' });
+  }
+
+  // Listener gets { event, from, to, changed, context }; returns an
+  // unsubscribe function
+  onTransition(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Nested value: 'disabled', { enabled: 'idle' }, { bold: 'on', ... }.
+  // A flat machine (no child states) is always in its root state, whose
+  // value is the machine id.
+  get state() {
+    let valueOf = (node) => {
+      if (node.children.size === 0) return node.key;
+      if (node.type === 'parallel') {
+        return Object.fromEntries(
+          [...node.children.values()].map((child) => [
+            child.key,
+            valueOf(child),
+          ])
+        );
+      }
+      let child = [...node.children.values()].find((c) => this.active.has(c));
+      return child.children.size === 0
+        ? child.key
+        : { [child.key]: valueOf(child) };
+    };
+    return valueOf(this.machine.root);
+  }
+
+  // matches('enabled') or matches('enabled.idle')
+  matches(path) {
+    return [...this.active].some((node) => node.id === path);
+  }
+
+  // The transitions an event would take right now, one per active leaf
+  _select(event) {
+    let selected = [];
+    let leaves = [...this.active].filter((node) => node.children.size === 0);
+    for (let leaf of leaves) {
+      for (let node = leaf; node; node = node.parent) {
+        let transition = (node.on[event.type] ?? []).find(
+          (t) => !t.guard || t.guard(this.context, event)
+        );
+        if (transition) {
+          if (!selected.includes(transition)) selected.push(transition);
+          break;
+        }
+      }
+    }
+    return selected;
+  }
+
+  can(event) {
+    return (
+      this._select(typeof event === 'string' ? { type: event } : event).length >
+      0
+    );
+  }
+
+  send(event) {
+    event = typeof event === 'string' ? { type: event } : event;
+    let from = this.state;
+    let transitions = this._select(event);
+
+    for (let transition of transitions) {
+      if (!transition.targetNode) {
+        this._run(transition.actions, event);
+        continue;
+      }
+      let target = transition.targetNode;
+      let domain = Interpreter._domain(transition.source, target);
+
+      // Exit everything active below the domain, innermost first
+      let exiting = [...this.active]
+        .filter((node) => Interpreter._isDescendant(node, domain))
+        .sort((a, b) => b.depth - a.depth);
+      for (let node of exiting) {
+        this._run(node.exit, event);
+        this.active.delete(node);
+      }
+
+      this._run(transition.actions, event);
+
+      // Enter from just below the domain down to the target
+      let path = [];
+      for (let node = target; node !== domain; node = node.parent)
+        path.unshift(node);
+      path.forEach((node, i) => {
+        if (i === path.length - 1) {
+          this._enterDefault(node, event);
+          return;
+        }
+        this._enter(node, event);
+        if (node.type === 'parallel') {
+          for (let region of node.children.values()) {
+            if (region !== path[i + 1]) this._enterDefault(region, event);
+          }
+        }
+      });
+    }
+
+    let to = this.state;
+    if (transitions.length > 0) {
+      let changed = JSON.stringify(from) !== JSON.stringify(to);
+      for (let listener of this.listeners) {
+        listener({ event, from, to, changed, context: this.context });
+      }
+    }
+    return to;
+  }
+
+  _enter(node, event) {
+    this.active.add(node);
+    this._run(node.entry, event);
+  }
+
+  _enterDefault(node, event) {
+    this._enter(node, event);
+    if (node.type === 'compound') {
+      this._enterDefault(node.children.get(node.initial), event);
+    } else if (node.type === 'parallel') {
+      node.children.forEach((child) => this._enterDefault(child, event));
+    }
+  }
+
+  _run(actions, event) {
+    for (let action of actions) action(this.context, event);
+  }
+
+  static _isDescendant(node, ancestor) {
+    for (let n = node.parent; n; n = n.parent) {
+      if (n === ancestor) return true;
+    }
+    return false;
+  }
+
+  // Deepest state that properly contains both ends. A transition to
+  // itself or to a descendant therefore exits and re-enters the source.
+  static _domain(source, target) {
+    for (let node = source.parent ?? source; node; node = node.parent) {
+      if (node === target.parent || Interpreter._isDescendant(target, node)) {
+        return node;
+      }
+    }
+    return source;
+  }
+}
+
 let disabledButtons = new WeakSet();
 let loadingButtons = new WeakSet();
 let activeButtons = new WeakSet();
 
+// The button's rules as a statechart, with the same transitions and logs
+// as the old WeakSet version: loading is a kind of disabled, and enabling
+// a loading button leaves it loading but no longer disabled (the top-level
+// `loading` state). Entry/exit actions keep the WeakSets in sync, so code
+// that checks membership still works.
+let say = (icon, message) => (ctx) =>
+  console.log(`${icon} ${ctx.button.label} ${message}`);
+let sayDisabled = say('🔒', 'disabled');
+let sayEnabled = say('🔓', 'enabled');
+let sayLoading = say('⏳', 'loading...');
+let sayFinished = say('✅', 'finished loading');
+
+let buttonMachine = new StateMachine({
+  id: 'button',
+  initial: 'enabled',
+  context: { clicks: 0 },
+  states: {
+    enabled: {
+      initial: 'idle',
+      states: {
+        idle: { on: { HOVER: 'hovered' } },
+        hovered: { on: { LEAVE: 'idle' } },
+      },
+      on: {
+        CLICK: {
+          actions: [(ctx) => ctx.clicks++, say('✨', 'clicked!')],
+        },
+        DISABLE: 'disabled',
+        ENABLE: { actions: sayEnabled },
+        LOAD: 'disabled.loading',
+        DONE: { actions: [sayEnabled, sayFinished] },
+      },
+    },
+    disabled: {
+      entry: [(ctx) => disabledButtons.add(ctx.button), sayDisabled],
+      exit: [(ctx) => disabledButtons.delete(ctx.button), sayEnabled],
+      initial: 'idle',
+      states: {
+        idle: { on: { LOAD: { target: 'loading', actions: sayDisabled } } },
+        loading: {
+          entry: [
+            (ctx) => loadingButtons.add(ctx.button),
+            (ctx, event) => event.type === 'LOAD' && sayLoading(ctx),
+          ],
+          exit: (ctx) => loadingButtons.delete(ctx.button),
+          on: {
+            LOAD: { actions: [sayDisabled, sayLoading] },
+            ENABLE: '#loading',
+          },
+        },
+      },
+      on: {
+        CLICK: { actions: say('❌', 'is disabled') },
+        DISABLE: { actions: sayDisabled },
+        ENABLE: 'enabled',
+        DONE: { target: 'enabled', actions: sayFinished },
+      },
+    },
+    loading: {
+      entry: (ctx) => loadingButtons.add(ctx.button),
+      exit: (ctx) => loadingButtons.delete(ctx.button),
+      on: {
+        CLICK: { actions: say('⏳', 'is loading...') },
+        DISABLE: 'disabled.loading',
+        ENABLE: { actions: sayEnabled },
+        LOAD: 'disabled.loading',
+        DONE: { target: 'enabled', actions: [sayEnabled, sayFinished] },
+      },
+    },
+  },
+});
+
 class Button {
   constructor(label) {
     this.label = label;
     activeButtons.add(this);
+    this.machine = buttonMachine.start({ button: this });
   }
 
   disable() {
-    disabledButtons.add(this);
-    console.log(`🔒 ${this.label} disabled`);
+    this.machine.send('DISABLE');
   }
 
   enable() {
-    disabledButtons.delete(this);
-    console.log(`🔓 ${this.label} enabled`);
+    this.machine.send('ENABLE');
   }
 
   startLoading() {
-    loadingButtons.add(this);
-    this.disable();
-    console.log(`⏳ ${this.label} loading...`);
+    this.machine.send('LOAD');
   }
 
   stopLoading() {
-    loadingButtons.delete(this);
-    this.enable();
-    console.log(`✅ ${this.label} finished loading`);
+    this.machine.send('DONE');
   }
 
   click() {
-    if (disabledButtons.has(this)) {
-      console.log(`❌ ${this.label} is disabled`);
-      return;
-    }
-    if (loadingButtons.has(this)) {
-      console.log(`⏳ ${this.label} is loading...`);
-      return;
-    }
-    console.log(`✨ ${this.label} clicked!`);
+    this.machine.send('CLICK');
   }
 
   getState() {
@@ -394,10 +1667,81 @@ saveBtn.click(); // Should be disabled
 saveBtn.stopLoading();
 saveBtn.click();
 
+// Disabling while loading is still reported, and enabling a loading
+// button leaves it loading
+deleteBtn.startLoading();
+deleteBtn.disable();
+deleteBtn.enable();
+deleteBtn.click();
+deleteBtn.stopLoading();
+
 console.log('\n📊 Final states:');
 console.log('Save button:', saveBtn.getState());
 console.log('Delete button:', deleteBtn.getState());
 
+// Nested states and transition events
+saveBtn.machine.onTransition(({ event, from, to, changed }) => {
+  if (changed) {
+    console.log(
+      `  ${event.type}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`
+    );
+  }
+});
+console.log('\nTransitions:');
+saveBtn.machine.send('HOVER');
+saveBtn.machine.send('CLICK'); // Handled by the parent "enabled" state
+saveBtn.machine.send('LEAVE');
+console.log(
+  'matches("enabled.idle")?',
+  saveBtn.machine.matches('enabled.idle')
+);
+console.log(
+  'Can HOVER?',
+  saveBtn.machine.can('HOVER'),
+  '| can LEAVE?',
+  saveBtn.machine.can('LEAVE')
+);
+console.log('Clicks counted in context:', saveBtn.machine.context.clicks);
+
+// Parallel regions and guards
+let hasSelection = (ctx) => ctx.selection > 0;
+let toggle = (name) => ({
+  initial: 'off',
+  states: {
+    off: { on: { [`TOGGLE_${name}`]: { target: 'on', guard: hasSelection } } },
+    on: { on: { [`TOGGLE_${name}`]: 'off' } },
+  },
+});
+let formatting = new StateMachine({
+  id: 'formatting',
+  type: 'parallel',
+  context: { selection: 0 },
+  states: { bold: toggle('BOLD'), italic: toggle('ITALIC') },
+});
+
+let toolbar = formatting.start();
+console.log('\nParallel state:', toolbar.state);
+toolbar.send('TOGGLE_BOLD');
+console.log('Bold without a selection (guarded):', toolbar.state);
+toolbar.context.selection = 5;
+toolbar.send('TOGGLE_BOLD');
+toolbar.send('TOGGLE_ITALIC');
+console.log('After toggling both:', toolbar.state);
+
+// A flat machine: no child states, just actions on the root
+let counter = new StateMachine({
+  id: 'counter',
+  context: { count: 0 },
+  on: { INC: { actions: (ctx) => ctx.count++ } },
+}).start();
+counter.send('INC');
+console.log('Flat machine:', counter.state, counter.context.count);
+
+console.log('\nMermaid:');
+console.log(buttonMachine.toMermaid());
+console.log('\nDOT:');
+console.log(formatting.toDot());
+
 console.log('\n=== 11. USE CASE: VALIDATION TRACKING ===\n');
 
 let validatedForms = new WeakSet();